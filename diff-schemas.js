@@ -0,0 +1,94 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at https://mozilla.org/MPL/2.0/.
+ *
+ * Author: John Bieling
+ */
+
+import { loadSchemas } from './modules/schemas.mjs';
+import { diffSchemas, formatDiffRst } from './modules/diff.mjs';
+import { CliError, parseCommandLine, formatHelp } from './modules/cli.mjs';
+import { loadProduct } from './modules/product.mjs';
+
+import { promises as fs } from "fs";
+import path from "path";
+
+const OPTIONS = [
+    {
+        name: "old",
+        type: "path",
+        description: "Path of the folder with the older schema files (for example the last ESR).",
+    },
+    {
+        name: "new",
+        type: "path",
+        description: "Path of the folder with the newer schema files (for example the current beta).",
+    },
+    {
+        name: "output",
+        type: "path",
+        description: "Path of a folder to store api-changes.rst and api-changes.json. Existing files with these names will be overwritten.",
+    },
+    {
+        name: "product",
+        type: "path",
+        description: "Path of a JSON file overriding the product data, like for generate-docs.js. Its schema files with global types are used to merge the schema files.",
+    },
+    {
+        name: "help",
+        type: "boolean",
+        description: "Show this help screen.",
+    },
+];
+
+const HELP_SCREEN = formatHelp("node diff-schemas.js", OPTIONS);
+
+let config = null;
+let product = null;
+try {
+    config = await parseCommandLine(OPTIONS);
+    const missing = ["old", "new", "output"].filter(name => !config[name]);
+    if (!config.help && missing.length) {
+        throw new CliError(missing.map(name => `--${name} is required`).join("\n"));
+    }
+    if (!config.help) {
+        product = await loadProduct(config.product);
+    }
+} catch (err) {
+    if (!(err instanceof CliError)) {
+        throw err;
+    }
+    console.error(err.message);
+    console.log(HELP_SCREEN);
+    config = null;
+    process.exitCode = 1;
+}
+
+if (!config) {
+    // The errors have already been reported.
+} else if (config.help) {
+    console.log(HELP_SCREEN);
+} else {
+    const diff = diffSchemas(
+        await loadSchemas(config.old, null, product.additional_type_files),
+        await loadSchemas(config.new, null, product.additional_type_files)
+    );
+
+    await fs.mkdir(config.output, { recursive: true });
+    await fs.writeFile(
+        path.join(config.output, "api-changes.rst"),
+        formatDiffRst(diff).toString(),
+        "utf8"
+    );
+    await fs.writeFile(
+        path.join(config.output, "api-changes.json"),
+        JSON.stringify(diff, null, 2),
+        "utf8"
+    );
+
+    console.log(`Changes between Thunderbird ${diff.from} and Thunderbird ${diff.to}:`);
+    for (const change of ["added", "removed", "changed"]) {
+        console.log(` - ${change}: ${diff.changes.filter(e => e.change == change).length}`);
+    }
+}
@@ -7,187 +7,339 @@
  */
 
 import * as tools from './modules/tools.mjs';
-import { Writer } from './modules/writer.mjs';
+import { generate, DEFAULT_TEMPLATE_PATH, MANIFEST_VERSIONS, OUTPUT_FORMATS, TEMPLATE_VARIABLES } from './modules/generator.mjs';
+import { loadSchemas } from './modules/schemas.mjs';
+import { Diagnostics, LINT_FORMATS } from './modules/lint.mjs';
+import { CliError, parseCommandLine, formatHelp } from './modules/cli.mjs';
+import { loadProduct } from './modules/product.mjs';
+import { loadPlugins } from './modules/plugins.mjs';
 
 import { promises as fs } from "fs";
 import path from "path";
 
-const SBT = "`";
-const TEMPLATE_PATH = `template`;
-const HELP_SCREEN = `
+const DEFAULT_CONFIG_FILE = `webext-docs.config.json`;
 
-Usage:
-
-    node generate-docs.js <options>
-    
-Options:
-   --schemas=path             - ...
-                                ...
-   --output=path              - Path of a folder to store the generated markdown
-                                files. All existing files in that folder will be
-                                deleted.
-   --manifest_version         - ...
-   --report_errors            - report errors in the schema files
-`;
-
-let ADDITIONAL_TYPE_PREFIXES = [];
-const ADDITIONAL_TYPE_FILES = [
-    "experiments.json",
-    "extension_types.json",
-    "manifest.json",
-    "types.json",
-    "events.json"
+const OPTIONS = [
+    {
+        name: "schemas",
+        type: "path",
+        description: "Path of the folder with the schema files (*.json) and permissions.ftl.",
+    },
+    {
+        name: "output",
+        type: "path",
+        description: "Path of a folder to store the generated files. Files generated by the previous run which are no longer generated will be deleted, other files in that folder are kept.",
+    },
+    {
+        name: "manifest_version",
+        type: "enum",
+        values: MANIFEST_VERSIONS,
+        description: "Manifest version of the generated documentation.",
+    },
+    {
+        name: "target_version",
+        type: "string",
+        value: "version",
+        description: "Only document what is available in the given Thunderbird version, for example --target_version=128: Leave out everything added after that version and mark members as deprecated or unsupported, if they were deprecated or unsupported in that version (according to their version annotations).",
+    },
+    {
+        name: "format",
+        type: "enum",
+        values: Object.keys(OUTPUT_FORMATS),
+        default: "rst",
+        description: "Output format of the generated files (default: rst). The Sphinx template is only used for rst, markdown and mdx generate one file per namespace and an index file.",
+    },
+    {
+        name: "targets",
+        type: "list",
+        value: "list",
+        description: "Generate multiple targets in one run, for example --targets=esr-mv2,esr-mv3,beta-mv3. Each target is <channel>-mv<manifest version>. The --schemas, --output, --dts, --emit-model, --manifest-schema, --symbols and --inventory paths may use the {target}, {channel} and {mv} placeholders, otherwise each target is generated into a subfolder of the output folder. Replaces --manifest_version.",
+    },
+    {
+        name: "dts",
+        type: "path",
+        flag: true,
+        description: "Generate TypeScript declarations for messenger.* and store them in the given file (default: messenger.d.ts in the output folder).",
+    },
+    {
+        name: "emit-model",
+        type: "path",
+        flag: true,
+        description: "Store a normalized JSON model of each namespace and an index.json in the given folder (default: model/ in the output folder).",
+    },
+    {
+        name: "manifest-schema",
+        type: "path",
+        flag: true,
+        description: "Generate a JSON Schema of the manifest.json file, for autocomplete and validation in editors, and store it in the given file (default: manifest.schema.json in the output folder).",
+    },
+    {
+        name: "symbols",
+        type: "path",
+        flag: true,
+        description: "Store a map of all documented symbols with their page and anchor in the given file (default: symbols.json in the output folder). Only supported by the rst format.",
+    },
+    {
+        name: "inventory",
+        type: "path",
+        flag: true,
+        description: "Store a Sphinx inventory of all documented symbols for intersphinx in the given file (default: objects.inv in the output folder). Only supported by the rst format.",
+    },
+    {
+        name: "check_code",
+        type: "enum",
+        values: ["warn", "fail"],
+        flag: "warn",
+        description: "Check the syntax of the JavaScript and JSON code annotations and of the code blocks of the template. The syntax errors are reported like the other issues of the schema files (see --report_errors), with fail the exit code is 1, if a syntax error has been found.",
+    },
+    {
+        name: "lint",
+        type: "enum",
+        values: LINT_FORMATS,
+        flag: "text",
+        description: "Check the schema files without generating any files, print the found issues in the given format (default: text) and exit with code 1 if errors have been found. --output is not needed.",
+    },
+    {
+        name: "lint_output",
+        type: "path",
+        description: "Store the lint report in the given file instead of printing it.",
+    },
+    {
+        name: "dry-run",
+        type: "boolean",
+        description: "Do not write or delete any files, but list the files which would be created, changed or deleted, including a diff of each changed file.",
+    },
+    {
+        name: "watch",
+        type: "boolean",
+        description: "Keep running and regenerate the files affected by changes of the schema files, permissions.ftl or the template.",
+    },
+    {
+        name: "report_errors",
+        type: "boolean",
+        description: "Report errors in the schema files after the documentation has been generated.",
+    },
+    {
+        name: "product",
+        type: "path",
+        description: "Path of a JSON file overriding the product data: the channels, the titles, the link of the documentation, the schema files with global types, the links of external types and the added texts (see modules/product.mjs).",
+    },
+    {
+        name: "plugins",
+        type: "paths",
+        value: "path,...",
+        description: "Comma separated paths of local modules, which add renderers for annotations and sections to the API pages (see modules/plugins.mjs).",
+    },
+    {
+        name: "config",
+        type: "path",
+        description: `Path of a JSON file with values for these options, keyed by option name (default: ${DEFAULT_CONFIG_FILE} in the current folder, if it exists). Options given on the command line override the values of the config file.`,
+    },
+    {
+        name: "help",
+        type: "boolean",
+        description: "Show this help screen.",
+    },
 ];
 
-const TITLE_DATA = {
-    "release": {
-        prefix: "",
-        slug: "",
-    },
-    "esr": {
-        prefix: "ESR ",
-        slug: "esr-",
-    },
-    "beta": {
-        prefix: "Beta ",
-        slug: "beta-",
-    },
-    "daily": {
-        prefix: "Daily ",
-        slug: "daily-",
-    },    
-}
+const HELP_SCREEN = formatHelp("node generate-docs.js", OPTIONS);
 
-const config = tools.parseArgs();
-if (!config.schemas || !config.output || !config.manifest_version) {
-    console.log(HELP_SCREEN);
-} else {
-    // Clone template folder and adjust cloned files.
-    const schemas = await tools.getSchemaFiles(config.schemas);
-    const thunderbird_version = schemas.map(a => a.data.map(e => e.applicationVersion).filter(Boolean)).flat().pop();
-    config.thunderbird_channel = "release";
-    if (thunderbird_version.includes("esr")) config.thunderbird_channel = "esr";
-    if (thunderbird_version.includes("b")) config.thunderbird_channel = "beta";
-    if (thunderbird_version.includes("a")) config.thunderbird_channel = "daily";
-    const long_title = `WebExtension API Documentation for Thunderbird ${thunderbird_version}`;
-    const title = `WebExtension API Documentation & Guides (Thunderbird ${TITLE_DATA[config.thunderbird_channel].prefix}${thunderbird_version.split(".")[0]}, Manifest V${config.manifest_version})`;
-    const link = `https://webextension-api.thunderbird.net/en/${TITLE_DATA[config.thunderbird_channel].slug}mv${config.manifest_version}/`
+/**
+ * Parses the value of the --targets option.
+ *
+ * @param {string[]} names - List of targets, e.g. ["esr-mv2", "beta-mv3"]
+ * @param {object} channels - The supported channels of the product data
+ * @returns {Array<object|null>} name, channel and manifest_version of each
+ *   target, null for invalid targets
+ */
+function parseTargets(names, channels) {
+    return names.map(name => name.toLowerCase()).map(name => {
+        const match = name.match(/^([a-z]+)-mv(\d+)$/);
+        return match && channels[match[1]] && MANIFEST_VERSIONS.includes(match[2])
+            ? { name, channel: match[1], manifest_version: match[2] }
+            : null;
+    });
+}
 
-    // Read fluent strings for permissions.
-    let PERMISSION_LOCALES = await fs.readFile(path.join(config.schemas, `permissions.ftl`), "utf8");
+// Paths may include the {target}, {channel} and {mv} placeholders, see the
+// --targets option.
+const PLACEHOLDERS = /\{(target|channel|mv)\}/g;
+const fillPlaceholders = (value, target) => value.replace(PLACEHOLDERS, (match, key) => ({
+    target: target.name,
+    channel: target.channel,
+    mv: target.manifest_version,
+})[key]);
 
-    // Parent and Child implementations are in separate files and need to be
-    // merged. Sub namespaces are in the same file and need to be separated.
-    // Filter out global type definitions.
-    const namespaces = new Map();
-    const globalTypes = new Map();
-    const relatedNamespaceNames = new Map();
-    for (let schema of schemas) {
-        if (ADDITIONAL_TYPE_FILES.includes(schema.file)) {
-            let data = schema.data.find(e => e.types);
-            ADDITIONAL_TYPE_PREFIXES.push(data.namespace);
-            data.types.forEach(t => {
-                globalTypes.set(`${data.namespace}.${t.id}`, t)
-            });
-            continue;
-        }
+const isFolder = folderPath => fs.stat(folderPath).then(stats => stats.isDirectory(), () => false);
 
-        let manifestNamespace = schema.data.find(e => e.namespace == "manifest");
-        let otherNamespaces = schema.data.filter(e => e.namespace != "manifest");
+/**
+ * Checks the combination of the given options and that the input folders
+ * exist.
+ *
+ * @param {object} config - The parsed options
+ * @param {object} product - The product data
+ * @throws {CliError} if the options are not valid
+ */
+async function validateConfig(config, product) {
+    const errors = [];
+    const conflicts = [
+        ["lint", "watch"],
+        ["lint", "targets"],
+        ["dry-run", "watch"],
+        ["targets", "watch"],
+        ["targets", "manifest_version"],
+    ];
 
-        // Find APIs which do not have a path and therefore no API namespace. In
-        // order to document those, we create a fake API namespace, following the
-        // same camel case notation.
-        if (!otherNamespaces.length && manifestNamespace?.types?.length) {
-            otherNamespaces = manifestNamespace.types
-                .filter(t => t.$extend === "WebExtensionManifest")
-                .flatMap(t => Object.keys(t.properties))
-                .map(snake => ({ namespace: tools.toCamelCase(snake) }));
+    if (!config.schemas) {
+        errors.push("--schemas is required");
+    } else {
+        const validTargets = config.targets ? parseTargets(config.targets, product.channels).filter(Boolean) : [];
+        const schemaFolders = validTargets.length
+            ? [...new Set(validTargets.map(target => fillPlaceholders(config.schemas, target)))]
+            : [config.schemas];
+        for (let folderPath of schemaFolders) {
+            if (!(await isFolder(folderPath))) {
+                errors.push(`The schema folder ${folderPath} of --schemas does not exist`);
+            }
         }
-
-        for (let entry of otherNamespaces) {
-            const name = entry.namespace;
-            const namespace = tools.mergeSchema(namespaces.get(name) ?? [], entry, manifestNamespace);
-            namespaces.set(name, namespace);
+    }
+    if (config.format == "rst" && !config.lint && !(await isFolder(DEFAULT_TEMPLATE_PATH))) {
+        errors.push(`The template folder ${path.resolve(DEFAULT_TEMPLATE_PATH)} does not exist, run the script in the folder of the generator`);
+    }
+    if (!config.output && !config.lint) {
+        errors.push("--output is required");
+    }
+    if (!config.manifest_version && !config.targets) {
+        errors.push("--manifest_version (or --targets) is required");
+    }
+    if (config.target_version && !tools.parseVersion(config.target_version).length) {
+        errors.push(`Invalid value for --target_version: ${config.target_version} (expected a version like 128 or 128.3)`);
+    }
+    if (config.targets) {
+        if (!config.targets.length) {
+            errors.push("--targets requires at least one target");
+        }
+        parseTargets(config.targets, product.channels).forEach((target, i) => {
+            if (!target) {
+                errors.push(`Invalid target ${config.targets[i]}, expected <channel>-mv<manifest version> with one of the channels ${Object.keys(product.channels).join(", ")} and one of the manifest versions ${MANIFEST_VERSIONS.join(", ")}`);
+            }
+        });
+    }
+    for (let name of Object.keys(product.variables)) {
+        if (TEMPLATE_VARIABLES[name] || ["CONDITION", "ELSE", "INCLUDE"].includes(name)) {
+            errors.push(`The variable ${name} of the product data cannot override a built-in variable`);
+        }
+    }
+    for (let name of ["symbols", "inventory"]) {
+        if (config[name] && config.format != "rst") {
+            errors.push(`--${name} is only supported by the rst format`);
+        }
+    }
+    for (let [a, b] of conflicts) {
+        if (config[a] && config[b]) {
+            errors.push(`--${a} cannot be combined with --${b}`);
         }
-
-        const names = relatedNamespaceNames.get(schema.file) || [];
-        names.push(...otherNamespaces.map(e => e.namespace));
-        relatedNamespaceNames.set(schema.file, names);
     }
 
-    const apiNames = [...namespaces.keys()]
+    if (errors.length) {
+        throw new CliError(errors.join("\n"));
+    }
+}
 
-    await tools.copyFolder(TEMPLATE_PATH, config.output);
-    await tools.processFiles(config.output, /\.rst$/i, true, content => {
-        let rv = tools.evaluateConditionTag(content, config);
-        rv = tools.indentHonoringReplace(rv, "{{API_LIST}}", apiNames.sort())
-        rv = tools.indentHonoringReplace(rv, "{{TITLE}}", [
-            "=".repeat(title.length),
-            title,
-            "=".repeat(title.length),
-        ])
-        // Convert $(ref:...) to :ref:`...` with escaped upper case letters.
-        rv = rv.replace(/\$\(ref:(.*?)\)/g, (match, ref) =>
-            `:ref:${SBT}${tools.escapeUppercase(ref)}${SBT}`
-        )
-        return rv;
-    });
+let config = null;
+let product = null;
+let plugins = null;
+try {
+    config = await parseCommandLine(OPTIONS, { defaultConfigFile: DEFAULT_CONFIG_FILE });
+    if (!config.help) {
+        product = await loadProduct(config.product);
+        await validateConfig(config, product);
+        plugins = await loadPlugins(config.plugins);
+    }
+} catch (err) {
+    if (!(err instanceof CliError)) {
+        throw err;
+    }
+    console.error(err.message);
+    console.log(HELP_SCREEN);
+    config = null;
+    process.exitCode = 1;
+}
+const targets = config?.targets ? parseTargets(config.targets, product.channels) : null;
 
-    await tools.processFiles(config.output, "conf.py", false, content => {
-        let rv = tools.evaluateConditionTag(content, config);
-        rv = rv.replace("{{TITLE}}", `${long_title}<br><br>Manifest V${config.manifest_version}`)
-        return rv;
-    });
+if (!config) {
+    // The errors have already been reported.
+} else if (config.help) {
+    console.log(HELP_SCREEN);
+} else if (targets) {
+    // Each schema folder is only read and merged once. Each target gets its
+    // own copy, as the writers modify the schemas.
+    const schemaCache = new Map();
+    const loadCachedSchemas = async (folderPath, diagnostics, additionalTypeFiles, fileSystem) => {
+        if (!schemaCache.has(folderPath)) {
+            const loadDiagnostics = new Diagnostics();
+            const data = await loadSchemas(folderPath, loadDiagnostics, additionalTypeFiles, fileSystem);
+            schemaCache.set(folderPath, { data, loadDiagnostics });
+        }
+        const { data, loadDiagnostics } = schemaCache.get(folderPath);
+        loadDiagnostics.entries.forEach(e => diagnostics.report(e));
+        return structuredClone(data);
+    };
 
-    await tools.processFiles(config.output, "README.md", false, content => {
-        return content
-            .replace("{{TITLE}}", title)
-            .replace("{{LINK}}", link);
-    });
+    // Targets are generated into a subfolder of the output folder, if it does
+    // not include any placeholder.
+    const summary = [];
+    for (let target of targets) {
+        console.log(`Generating ${target.name} ...`);
+        const targetConfig = {
+            ...config,
+            channel: target.channel,
+            manifest_version: target.manifest_version,
+            schemas: fillPlaceholders(config.schemas, target),
+            output: config.output.match(PLACEHOLDERS)
+                ? fillPlaceholders(config.output, target)
+                : path.join(config.output, target.name),
+        };
+        for (let key of ["dts", "emit-model", "manifest-schema", "symbols", "inventory"]) {
+            if (typeof config[key] === "string") {
+                targetConfig[key] = fillPlaceholders(config[key], target);
+            }
+        }
+        delete targetConfig.targets;
 
-    // First loop over manifest schemas to extract extends and update the global
-    // manifest schema.
-    for (let [namespaceName, schema] of namespaces) {
-        const manifestSchema = schema.find(e => e.namespace == "manifest");
-        for (let localDefinition of (manifestSchema.types || [])) {
-            let extend = localDefinition["$extend"];
-            // We only care about extends here. There *are* manifests which also
-            // add local types to the global manifest (Theme), but we use the local
-            // manifest for the individual API generations.
-            if (extend) {
-                let globalDefinition = globalTypes.get(`manifest.${extend}`);
-                globalDefinition = tools.mergeSchemaExtensions(globalDefinition, localDefinition);
-                globalTypes.set(`manifest.${extend}`, globalDefinition);
+        // A failing target (like a schema folder of another channel) does
+        // not stop the other targets.
+        let result;
+        try {
+            result = await generate(targetConfig, { product, plugins, schemaLoader: loadCachedSchemas });
+        } catch (err) {
+            if (!(err instanceof CliError)) {
+                throw err;
             }
+            console.error(`The target ${target.name} failed: ${err.message}`);
+            summary.push(`  ${target.name.padEnd(12)} failed: ${err.message}`);
+            process.exitCode = 1;
+            continue;
+        }
+        const { output, deprecationSummary, failed } = result;
+        if (failed) {
+            process.exitCode = 1;
         }
+        const count = action => output.changes.filter(e => e.action == action).length;
+        summary.push(`  ${target.name.padEnd(12)} ${count("create")} created, ${count("change")} changed, ${count("delete")} deleted, ${deprecationSummary} (${targetConfig.output})`);
     }
-
-    for (let [namespaceName, schema] of namespaces) {
-        const manifestSchema = schema.find(e => e.namespace == "manifest");
-        const namespaceSchema = schema.find(e => e.namespace == namespaceName);
-        const parentNamespaceSchemas = namespaceName.split(".").slice(0, -1)
-            .map((_, i, parts) => parts.slice(0, i + 1).join("."))
-            .map(name => namespaces.get(name)?.find(e => e.namespace == name));
-
-        const writer = new Writer({
-            config,
-            namespaces,
-            namespaceName,
-            namespaceSchema,
-            parentNamespaceSchemas,
-            manifestSchema,
-            globalTypes,
-            PERMISSION_LOCALES,
-            ADDITIONAL_TYPE_PREFIXES,
-            RELATED_NAMESPACE_NAMES: [...relatedNamespaceNames.values()].find(e => e.includes(namespaceName)),
-        })
-        const doc = await writer.generateApiDoc();
-
-        await fs.writeFile(
-            path.join(config.output, `${namespaceName}.rst`),
-            doc.toString(),
-            "utf8"
-        );
+    console.log(["", config["dry-run"] ? "Summary (dry run):" : "Summary:", ...summary].join("\n"));
+} else {
+    try {
+        const { failed } = await generate(config, { product, plugins });
+        if (failed) {
+            process.exitCode = 1;
+        }
+    } catch (err) {
+        if (!(err instanceof CliError)) {
+            throw err;
+        }
+        console.error(err.message);
+        process.exitCode = 1;
     }
 }
\ No newline at end of file
@@ -0,0 +1,217 @@
+import { promises as fs } from "fs";
+import path from "path";
+
+/**
+ * Error for invalid command line options or config files. The message is meant
+ * to be shown to the user, together with the help screen.
+ */
+export class CliError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CliError";
+    }
+}
+
+// Options may be written with "-" or "_" (--dry-run or --dry_run).
+const normalizeName = name => name.replace(/_/g, "-").toLowerCase();
+
+/**
+ * Splits the command line arguments into option names and values. Values are
+ * kept as they are, only the first "=" separates the name and the value.
+ *
+ * @param {string[]} argv - Array of arguments
+ * @returns {Array<{name: string, value: string|true}>} options in the order
+ *   they were given, options without a value have the value true
+ */
+export function parseArgv(argv) {
+    return argv.map(arg => {
+        if (!arg.startsWith("--")) {
+            throw new CliError(`Unexpected argument: ${arg}`);
+        }
+        const index = arg.indexOf("=");
+        return index == -1
+            ? { name: arg.slice(2), value: true }
+            : { name: arg.slice(2, index), value: arg.slice(index + 1) };
+    });
+}
+
+/**
+ * Converts and validates the value of an option.
+ *
+ * @param {object} option - The option definition
+ * @param {any} value - The value from the command line or the config file
+ * @param {string} [baseFolder] - Folder relative paths are resolved against
+ *   (used for config files)
+ * @returns {any} The converted value
+ */
+function coerce(option, value, baseFolder = null) {
+    const name = `--${option.name}`;
+    if (value === false) {
+        return false;
+    }
+    if (value === true && option.type != "boolean") {
+        if (option.flag === undefined) {
+            throw new CliError(`${name} requires a value`);
+        }
+        return option.flag;
+    }
+
+    switch (option.type) {
+        case "boolean":
+            if (value === true || /^(true|yes|1)$/i.test(value)) return true;
+            if (/^(false|no|0)$/i.test(value)) return false;
+            throw new CliError(`${name} does not accept the value ${value}`);
+        case "path":
+            if (typeof value !== "string" || !value) {
+                throw new CliError(`${name} requires a path`);
+            }
+            return baseFolder ? path.resolve(baseFolder, value) : value;
+        case "enum": {
+            const match = option.values.find(e => e.toLowerCase() == String(value).toLowerCase());
+            if (match === undefined) {
+                throw new CliError(`Invalid value for ${name}: ${value} (allowed values: ${option.values.join(", ")})`);
+            }
+            return match;
+        }
+        case "list":
+        case "paths": {
+            const items = Array.isArray(value) ? value.map(String) : String(value).split(",");
+            const values = items.map(e => e.trim()).filter(Boolean);
+            return option.type == "paths" && baseFolder
+                ? values.map(e => path.resolve(baseFolder, e))
+                : values;
+        }
+        default:
+            if (typeof value === "object") {
+                throw new CliError(`${name} requires a string value`);
+            }
+            return String(value);
+    }
+}
+
+/**
+ * Reads the options from the command line and from a config file. The config
+ * file is either given by the --config option (which must be defined), or is
+ * the default config file, if it exists. Command line options override the
+ * values from the config file, relative paths in the config file are relative
+ * to the config file.
+ *
+ * Each option definition has a name, a type ("string", "path", "boolean",
+ * "enum", "list" or "paths", a list of paths), a description for the help screen and optionally:
+ * - values: the allowed values of an enum
+ * - flag: the value used if the option is given without a value (otherwise a
+ *   value is required)
+ * - default: the value used if the option is not given at all
+ * - value: the placeholder shown on the help screen
+ *
+ * @param {object[]} definitions - The option definitions
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - The command line arguments
+ * @param {string} [options.defaultConfigFile] - Path of the default config file
+ * @returns {Promise<object>} The config, keyed by option name
+ */
+export async function parseCommandLine(definitions, { argv = process.argv.slice(2), defaultConfigFile = null } = {}) {
+    const findOption = name => definitions.find(e => normalizeName(e.name) == normalizeName(name));
+    const errors = [];
+
+    const cliConfig = {};
+    for (const { name, value } of parseArgv(argv)) {
+        const option = findOption(name);
+        if (!option) {
+            errors.push(`Unknown option --${name}`);
+            continue;
+        }
+        try {
+            cliConfig[option.name] = coerce(option, value);
+        } catch (err) {
+            if (!(err instanceof CliError)) throw err;
+            errors.push(err.message);
+        }
+    }
+
+    const config = {};
+    let configFile = cliConfig.config;
+    if (!configFile && defaultConfigFile) {
+        configFile = await fs.access(defaultConfigFile).then(() => defaultConfigFile, () => null);
+    }
+    if (configFile) {
+        let json = {};
+        try {
+            json = JSON.parse(await fs.readFile(configFile, "utf8"));
+        } catch (err) {
+            errors.push(`Cannot read the config file ${configFile}: ${err.message}`);
+        }
+        for (const [key, value] of Object.entries(json)) {
+            const option = findOption(key);
+            if (!option || option.name == "config") {
+                errors.push(`Unknown option ${key} in ${configFile}`);
+                continue;
+            }
+            try {
+                config[option.name] = coerce(option, value, path.dirname(configFile));
+            } catch (err) {
+                if (!(err instanceof CliError)) throw err;
+                errors.push(`${err.message} (in ${configFile})`);
+            }
+        }
+    }
+    Object.assign(config, cliConfig);
+
+    for (const option of definitions) {
+        if (config[option.name] === undefined && option.default !== undefined) {
+            config[option.name] = option.default;
+        }
+    }
+
+    if (errors.length) {
+        throw new CliError(errors.join("\n"));
+    }
+    return config;
+}
+
+const wrap = (text, width) => {
+    const lines = [];
+    let line = "";
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+/**
+ * Returns the help screen for the given option definitions.
+ *
+ * @param {string} command - The command, e.g. "node generate-docs.js"
+ * @param {object[]} definitions - The option definitions
+ * @returns {string}
+ */
+export function formatHelp(command, definitions) {
+    const NAME_WIDTH = 27;
+    const INDENT = " ".repeat(3 + NAME_WIDTH + 2);
+    const lines = ["", "Usage:", "", `    ${command} <options>`, "", "Options:"];
+
+    for (const option of definitions) {
+        let name = `--${option.name}`;
+        if (option.type != "boolean") {
+            const value = option.value ?? (option.type == "enum" ? option.values.join("|") : option.type);
+            name += option.flag === undefined ? `=${value}` : `[=${value}]`;
+        }
+        const description = wrap(option.description, 80 - INDENT.length);
+        if (name.length < NAME_WIDTH) {
+            lines.push(`   ${name.padEnd(NAME_WIDTH)}- ${description.shift()}`);
+        } else {
+            lines.push(`   ${name}`);
+            description[0] = `- ${description[0]}`;
+            lines.push(...description.splice(0, 1).map(e => `${" ".repeat(3 + NAME_WIDTH)}${e}`));
+        }
+        lines.push(...description.map(e => `${INDENT}${e}`));
+    }
+    lines.push("");
+    return lines.join("\n");
+}
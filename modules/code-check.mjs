@@ -0,0 +1,179 @@
+/**
+ * Syntax check of the JavaScript and JSON code samples, used by the
+ * --check_code option. The code annotations of the schema files and the code
+ * blocks of the template are only parsed by Node, never executed.
+ */
+
+import { spawnSync } from "child_process";
+import vm from "vm";
+
+// The checked languages, keyed by the lower case type of a code annotation or
+// the language of a code block.
+const LANGUAGES = {
+    "javascript": "javascript",
+    "js": "javascript",
+    "json": "json",
+};
+
+const SAMPLE_FILE_NAME = "code-sample.js";
+
+/**
+ * Returns the checked language of a code annotation or code block.
+ *
+ * @param {string} [type] - The type of the code annotation or the language of
+ *   the code block, e.g. "JavaScript"
+ * @returns {string|null} "javascript", "json" or null, if the code is not
+ *   checked
+ */
+export function getCodeLanguage(type) {
+    return LANGUAGES[String(type ?? "").toLowerCase()] ?? null;
+}
+
+// Returns the line of a syntax error thrown by vm.Script, as reported in the
+// first line of its stack.
+const getErrorLine = err => Number(err.stack?.match(new RegExp(`${SAMPLE_FILE_NAME}:(\\d+)`))?.[1] ?? 0) || null;
+
+// Samples using import or export statements are modules, which cannot be
+// parsed by vm.Script. They are checked by a separate Node process.
+function parseModule(code) {
+    const { status, stderr, error } = spawnSync(
+        process.execPath,
+        ["--input-type=module", "--check", "-"],
+        { input: code, encoding: "utf8", timeout: 10000 }
+    );
+    if (error) {
+        throw error;
+    }
+    if (status == 0) {
+        return null;
+    }
+    return {
+        message: stderr.match(/^SyntaxError: (.*)$/m)?.[1] ?? stderr.trim().split("\n")[0],
+        line: Number(stderr.match(/^\[stdin\]:(\d+)/)?.[1] ?? 0) || null,
+    };
+}
+
+function parseJavaScript(code) {
+    let error;
+    try {
+        new vm.Script(code, { filename: SAMPLE_FILE_NAME });
+        return null;
+    } catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+        error = { message: err.message, line: getErrorLine(err) };
+        if (/\b(import|export)\b/.test(err.message)) {
+            return parseModule(code);
+        }
+    }
+    // Samples may use await outside of a function, as in a module.
+    try {
+        new vm.Script(`(async () => {\n${code}\n})`, { filename: SAMPLE_FILE_NAME });
+        return null;
+    } catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+    }
+    return error;
+}
+
+// Samples may only show some entries of an object, like a key of the
+// manifest.
+const isJsonFragment = code => /^\s*"(?:[^"\\]|\\.)*"\s*:/.test(code);
+
+// Some errors of JSON.parse() do not include their position (like unexpected
+// tokens), their line is taken from the JavaScript parser.
+function getJsonErrorLine(text) {
+    try {
+        new vm.Script(`(${text}\n)`, { filename: SAMPLE_FILE_NAME });
+        return null;
+    } catch (err) {
+        return err instanceof SyntaxError ? getErrorLine(err) : null;
+    }
+}
+
+// Returns the error of JSON.parse() for the parsed text, with its line in the
+// sample. The offset is the number of characters added in front of the sample.
+function getJsonError(err, code, text, offset = 0) {
+    const position = Number(err.message.match(/at position (\d+)/)?.[1]);
+    if (Number.isNaN(position)) {
+        return { message: err.message, line: getJsonErrorLine(text) };
+    }
+    const samplePosition = Math.max(0, position - offset);
+    return {
+        message: err.message.replace(/at position \d+/, `at position ${samplePosition}`),
+        line: code.slice(0, samplePosition).split("\n").length,
+    };
+}
+
+function parseJson(code) {
+    const isFragment = isJsonFragment(code);
+    const text = isFragment ? `{${code.replace(/,\s*$/, "")}}` : code;
+    try {
+        JSON.parse(text);
+        return null;
+    } catch (err) {
+        return getJsonError(err, code, text, isFragment ? 1 : 0);
+    }
+}
+
+/**
+ * Checks the syntax of a code sample.
+ *
+ * @param {string} language - see getCodeLanguage()
+ * @param {string} code - The code sample
+ * @returns {{message: string, line: number|null}|null} The syntax error,
+ *   with its line in the code sample (if known), or null
+ */
+export function checkCodeSyntax(language, code) {
+    switch (language) {
+        case "javascript":
+            return parseJavaScript(code);
+        case "json":
+            return parseJson(code);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Returns the code blocks of RST text, including indented ones. Code blocks
+ * without a language are not returned.
+ *
+ * @param {string} text - The RST text
+ * @returns {Array<{language: string, code: string, line: number}>} The
+ *   language, the dedented code and the line of the first code line in the
+ *   text (1-based)
+ */
+export function findRstCodeBlocks(text) {
+    const lines = text.split("\n");
+    const getIndent = line => line.match(/^[ \t]*/)[0].length;
+    const blocks = [];
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^([ \t]*)\.\. (?:code-block|code|sourcecode)::[ \t]*(\S+)?/);
+        if (!match || !match[2]) {
+            continue;
+        }
+        const indent = match[1].length;
+        // Options of the directive (like :linenos:) precede the code.
+        let start = i + 1;
+        while (start < lines.length && /^[ \t]+:[\w-]+:/.test(lines[start]) && getIndent(lines[start]) > indent) {
+            start++;
+        }
+        let end = start;
+        while (end < lines.length && (!lines[end].trim() || getIndent(lines[end]) > indent)) {
+            end++;
+        }
+        const code = lines.slice(start, end);
+        const first = code.findIndex(line => line.trim());
+        if (first == -1) {
+            continue;
+        }
+        const dedent = Math.min(...code.filter(line => line.trim()).map(getIndent));
+        blocks.push({
+            language: match[2],
+            code: code.slice(first).map(line => line.slice(dedent)).join("\n").trimEnd(),
+            line: start + first + 1,
+        });
+        i = end - 1;
+    }
+    return blocks;
+}
@@ -0,0 +1,493 @@
+import { AdvancedArray } from "./classes.mjs";
+import * as tools from "./tools.mjs";
+
+const SBT = "`";
+const DBT = "``";
+
+const KIND_LABELS = {
+    namespace: "API",
+    manifest: "Manifest entry",
+    permission: "Permission",
+    function: "Function",
+    event: "Event",
+    parameter: "Parameter",
+    returns: "Return value",
+    property: "Property",
+    type: "Type",
+    enum: "Enum value",
+};
+
+const isSupported = obj => {
+    const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+    return version_added !== false;
+};
+
+// Returns the version a schema entry has been added in, or null if unknown.
+const getVersionAdded = obj => {
+    const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+    return typeof version_added === "string" ? version_added : null;
+};
+
+/**
+ * Returns a short description of the type of a schema entry, used to detect
+ * type changes.
+ *
+ * @param {object} obj - The schema entry
+ * @returns {string}
+ */
+function describeType(obj) {
+    if (!obj) return "";
+    if ("$ref" in obj) return obj["$ref"];
+    if ("choices" in obj) return obj.choices.map(describeType).join(" or ");
+    if (obj.type === "array") return `array of ${describeType(obj.items)}`;
+    if (obj.isInstanceOf) return obj.isInstanceOf;
+    return obj.type ?? "";
+}
+
+function describeStatus(obj) {
+    if ("unsupported" in obj) return "unsupported";
+    if ("deprecated" in obj) return "deprecated";
+    return "";
+}
+
+/**
+ * Collects all members of a namespace into a flat map, keyed by their path
+ * (which is also the label used in the generated documentation).
+ *
+ * @param {string} namespaceName
+ * @param {Array<object>} schema - The merged schema entries of the namespace
+ * @param {Set<object>} [creditedTypes] - The manifest types whose keys have
+ *   already been collected. All namespaces of a schema file share its manifest
+ *   types, their keys are only collected for the first namespace, like on the
+ *   manifest page (see collectAllMembers()).
+ * @returns {Map<string, object>} members, each with namespace, kind, path,
+ *   the compared signature, the version it has been added in (or null), its
+ *   status ("deprecated", "unsupported" or "") and the deprecation text (or
+ *   null)
+ */
+function collectMembers(namespaceName, schema, creditedTypes = new Set()) {
+    const members = new Map();
+    const namespaceSchema = schema.find(e => e.namespace == namespaceName) ?? {};
+    const manifestSchema = schema.find(e => e.namespace == "manifest") ?? {};
+
+    const add = (kind, path, signature = {}, obj = null) => {
+        members.set(`${kind}:${path}`, {
+            namespace: namespaceName,
+            kind,
+            path,
+            signature,
+            version: getVersionAdded(obj),
+            status: obj ? describeStatus(obj) : "",
+            deprecation: typeof obj?.deprecated === "string" ? obj.deprecated : null,
+        });
+    };
+    const addPermissions = (path, obj) => {
+        for (const permission of new Set(obj?.permissions ?? [])) {
+            members.set(`permission:${path}:${permission}`, {
+                namespace: namespaceName,
+                kind: "permission",
+                path: permission,
+                parent: path,
+                signature: {},
+                version: null,
+                status: "",
+                deprecation: null,
+            });
+        }
+    };
+    const addEnums = (path, obj) => {
+        const values = obj?.enum ?? obj?.items?.enum
+            ?? obj?.choices?.flatMap(c => c.enum ?? []);
+        const annotations = obj?.enums ?? obj?.items?.enums ?? {};
+        for (const value of values ?? []) {
+            const name = value?.name ?? value;
+            add("enum", `${path}.${name}`, {}, annotations[name]);
+        }
+    };
+    const addValue = (kind, path, obj) => {
+        if (!obj || obj.ignore || !isSupported(obj)) return;
+        add(kind, path, {
+            type: describeType(obj),
+            optional: !!obj.optional,
+            status: describeStatus(obj),
+        }, obj);
+        addEnums(path, obj);
+        for (const [key, value] of Object.entries(obj.properties ?? obj.items?.properties ?? {})) {
+            addValue("property", `${path}.${key}`, value);
+        }
+    };
+
+    add("namespace", namespaceName, {}, namespaceSchema);
+    addPermissions(namespaceName, namespaceSchema);
+
+    for (const type of manifestSchema.types ?? []) {
+        if (type.$extend === "WebExtensionManifest" && !creditedTypes.has(type)) {
+            creditedTypes.add(type);
+            for (const [key, value] of Object.entries(type.properties ?? {})) {
+                addValue("manifest", `${namespaceName}.${key}`, value);
+            }
+        }
+    }
+
+    for (const func of (namespaceSchema.functions ?? []).filter(isSupported)) {
+        const path = `${namespaceName}.${func.name}`;
+        add("function", path, { status: describeStatus(func) }, func);
+        addPermissions(path, func);
+        for (const param of func.parameters ?? []) {
+            if (param.name === func.async) {
+                if (param.parameters?.length) {
+                    addValue("returns", `${path}.returns`, param.parameters[0]);
+                }
+            } else {
+                addValue("parameter", `${path}.${param.name}`, param);
+            }
+        }
+        if (func.returns) {
+            addValue("returns", `${path}.returns`, func.returns);
+        }
+    }
+
+    for (const event of (namespaceSchema.events ?? []).filter(isSupported)) {
+        const path = `${namespaceName}.${event.name}`;
+        add("event", path, { status: describeStatus(event) }, event);
+        addPermissions(path, event);
+        for (const param of [...(event.parameters ?? []), ...(event.extraParameters ?? [])]) {
+            addValue("parameter", `${path}.${param.name}`, param);
+        }
+        if (event.returns) {
+            addValue("returns", `${path}.returns`, event.returns);
+        }
+    }
+
+    for (const type of [...(namespaceSchema.types ?? []), ...(manifestSchema.types ?? [])]) {
+        if (type.id) {
+            addValue("type", `${namespaceName}.${type.id}`, type);
+        }
+    }
+
+    for (const [key, value] of Object.entries(namespaceSchema.properties ?? {})) {
+        addValue("property", `${namespaceName}.${key}`, value);
+    }
+
+    return members;
+}
+
+/**
+ * Collects the members of all namespaces of a schema set, see collectMembers().
+ *
+ * @param {object} schemas - The schemas, as returned by loadSchemas()
+ * @returns {Map<string, Map<string, object>>} the members of each namespace
+ */
+function collectAllMembers(schemas) {
+    const creditedTypes = new Set();
+    return new Map([...schemas.namespaces.keys()].sort().map(namespaceName => [
+        namespaceName,
+        collectMembers(namespaceName, schemas.namespaces.get(namespaceName), creditedTypes),
+    ]));
+}
+
+function describeChanges(oldSignature, newSignature) {
+    const details = [];
+    if ((oldSignature.type ?? "") !== (newSignature.type ?? "")) {
+        details.push(`type changed from ${oldSignature.type || "none"} to ${newSignature.type || "none"}`);
+    }
+    if (!!oldSignature.optional !== !!newSignature.optional) {
+        details.push(newSignature.optional ? "is now optional" : "is now required");
+    }
+    if ((oldSignature.status ?? "") !== (newSignature.status ?? "")) {
+        details.push(newSignature.status ? `is now ${newSignature.status}` : `is no longer ${oldSignature.status}`);
+    }
+    return details;
+}
+
+/**
+ * Compares two schema sets, as returned by loadSchemas().
+ *
+ * @param {object} oldSchemas - The older schema set
+ * @param {object} newSchemas - The newer schema set
+ * @returns {object} from and to versions and a list of changes, each with
+ *   namespace, kind, path, change ("added", "removed" or "changed") and
+ *   details
+ */
+export function diffSchemas(oldSchemas, newSchemas) {
+    const collect = schemas => new Map([...collectAllMembers(schemas).values()].flatMap(e => [...e]));
+    const oldMembers = collect(oldSchemas);
+    const newMembers = collect(newSchemas);
+
+    const changes = [];
+    const record = (member, change, details = []) => {
+        changes.push({
+            namespace: member.namespace,
+            kind: member.kind,
+            path: member.path,
+            ...(member.parent ? { parent: member.parent } : {}),
+            change,
+            details,
+        });
+    };
+
+    for (const [key, member] of newMembers) {
+        if (!oldMembers.has(key)) {
+            record(member, "added");
+            continue;
+        }
+        const details = describeChanges(oldMembers.get(key).signature, member.signature);
+        if (details.length) {
+            record(member, "changed", details);
+        }
+    }
+    for (const [key, member] of oldMembers) {
+        if (!newMembers.has(key)) {
+            record(member, "removed");
+        }
+    }
+
+    // Members of added or removed namespaces, functions, events, types, ... are
+    // not listed individually.
+    const paths = new Set(changes
+        .filter(e => e.kind != "permission" && e.change != "changed")
+        .map(e => `${e.change}:${e.path}`)
+    );
+    const isCoveredByParent = entry => {
+        const parts = (entry.parent ?? entry.path).split(".");
+        const length = entry.parent ? parts.length : parts.length - 1;
+        for (let i = length; i > 0; i--) {
+            if (paths.has(`${entry.change}:${parts.slice(0, i).join(".")}`)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    return {
+        from: oldSchemas.thunderbird_version,
+        to: newSchemas.thunderbird_version,
+        changes: changes
+            .filter(e => e.change == "changed" || !isCoveredByParent(e))
+            .sort((a, b) => a.namespace.localeCompare(b.namespace) || a.path.localeCompare(b.path)),
+    };
+}
+
+/**
+ * Formats the result of diffSchemas() as a RST page.
+ *
+ * @param {object} diff - The result of diffSchemas()
+ * @param {string} [title] - Title of the page
+ * @returns {AdvancedArray} lines of the page
+ */
+export function formatDiffRst(diff, title = `API changes since Thunderbird ${diff.from}`) {
+    const doc = new AdvancedArray();
+    doc.append([
+        ".. _api-changes:",
+        "",
+        "=".repeat(title.length),
+        title,
+        "=".repeat(title.length),
+        "",
+        ".. role:: permission",
+        "",
+        ".. role:: value",
+        "",
+        `Changes of the WebExtension APIs between Thunderbird ${diff.from} and Thunderbird ${diff.to}.`,
+        "",
+    ]);
+
+    if (!diff.changes.length) {
+        doc.addParagraph("No changes.");
+        return doc;
+    }
+
+    const format_entry = (entry) => {
+        const kind = KIND_LABELS[entry.kind];
+        if (entry.kind == "namespace") {
+            return entry.change == "removed"
+                ? `${kind} ${DBT}${entry.path}${DBT}`
+                : `${kind} :doc:${SBT}${entry.path}${SBT}`;
+        }
+        if (entry.kind == "permission") {
+            let parent = `:ref:${SBT}${tools.escapeUppercase(entry.parent)}${SBT}`;
+            if (entry.change == "removed") {
+                parent = `${DBT}${entry.parent}${DBT}`;
+            } else if (entry.parent == entry.namespace) {
+                parent = `:doc:${SBT}${entry.parent}${SBT}`;
+            }
+            return `${kind} :permission:${SBT}${entry.path}${SBT} required by ${parent}`;
+        }
+        const name = entry.change == "removed"
+            ? `${DBT}${entry.path}${DBT}`
+            : `:ref:${SBT}${entry.path} <${tools.escapeUppercase(entry.path)}>${SBT}`;
+        const details = entry.details.length ? ` (${entry.details.join(", ")})` : "";
+        return `${kind} ${name}${details}`;
+    };
+
+    const namespaceNames = [...new Set(diff.changes.map(e => e.namespace))];
+    for (const namespaceName of namespaceNames) {
+        doc.append(["", namespaceName, "=".repeat(namespaceName.length), ""]);
+        const entries = diff.changes.filter(e => e.namespace == namespaceName);
+        for (const [change, header] of [["added", "Added"], ["removed", "Removed"], ["changed", "Changed"]]) {
+            const selected = entries.filter(e => e.change == change);
+            if (!selected.length) continue;
+            doc.append(["", header, "-".repeat(header.length), ""]);
+            doc.append(selected.map(e => `* ${format_entry(e)}`));
+            doc.append("");
+        }
+    }
+
+    return doc;
+}
+
+/**
+ * Collects all members of the given schemas with a version_added annotation.
+ * Members added in the same version as their parent (for example the
+ * parameters of an added function) are not listed individually.
+ *
+ * @param {object} schemas - The schemas, as returned by loadSchemas()
+ * @returns {Array<object>} additions, each with version, namespace, kind and
+ *   path, sorted by version (newest first), namespace and path
+ */
+export function collectAdditions(schemas) {
+    const additions = [];
+    for (const [namespaceName, namespaceMembers] of collectAllMembers(schemas)) {
+        const members = [...namespaceMembers.values()].filter(e => e.version);
+        const paths = new Set(members.map(e => `${e.version}:${e.path}`));
+        const namespaceLength = namespaceName.split(".").length;
+        for (const { kind, path, version } of members) {
+            const parts = path.split(".");
+            let covered = false;
+            for (let i = namespaceLength; i < parts.length; i++) {
+                covered ||= paths.has(`${version}:${parts.slice(0, i).join(".")}`);
+            }
+            if (!covered) {
+                additions.push({ version, namespace: namespaceName, kind, path });
+            }
+        }
+    }
+    return additions.sort((a, b) =>
+        tools.compareVersions(b.version, a.version)
+        || a.namespace.localeCompare(b.namespace)
+        || a.path.localeCompare(b.path)
+    );
+}
+
+/**
+ * Formats the result of collectAdditions() as a RST page, with a section for
+ * each Thunderbird version, grouped by namespace.
+ *
+ * @param {Array<object>} additions - The result of collectAdditions()
+ * @param {string} [title] - Title of the page
+ * @returns {AdvancedArray} lines of the page
+ */
+export function formatWhatsNewRst(additions, title = "What's new in Thunderbird") {
+    const doc = new AdvancedArray();
+    doc.append([
+        ".. _whats-new:",
+        "",
+        "=".repeat(title.length),
+        title,
+        "=".repeat(title.length),
+        "",
+        "The WebExtension API elements added in each Thunderbird version.",
+        "",
+    ]);
+
+    if (!additions.length) {
+        doc.addParagraph("No additions.");
+        return doc;
+    }
+
+    const format_entry = (entry) => {
+        const kind = KIND_LABELS[entry.kind];
+        return entry.kind == "namespace"
+            ? `${kind} :doc:${SBT}${entry.path}${SBT}`
+            : `${kind} :ref:${SBT}${entry.path} <${tools.escapeUppercase(entry.path)}>${SBT}`;
+    };
+
+    const versions = [...new Set(additions.map(e => e.version))];
+    for (const version of versions) {
+        const header = `Thunderbird ${version}`;
+        doc.append(["", header, "=".repeat(header.length), ""]);
+        const entries = additions.filter(e => e.version == version);
+        for (const namespaceName of [...new Set(entries.map(e => e.namespace))]) {
+            doc.append(["", namespaceName, "-".repeat(namespaceName.length), ""]);
+            doc.append(entries.filter(e => e.namespace == namespaceName).map(e => `* ${format_entry(e)}`));
+            doc.append("");
+        }
+    }
+
+    return doc;
+}
+
+/**
+ * Collects all deprecated and unsupported members of the given schemas.
+ *
+ * @param {object} schemas - The schemas, as returned by loadSchemas()
+ * @returns {Array<object>} deprecations, each with namespace, kind, path,
+ *   status ("deprecated" or "unsupported") and the deprecation text (or
+ *   null), sorted by namespace and path
+ */
+export function collectDeprecations(schemas) {
+    const deprecations = [];
+    for (const [namespaceName, schema] of schemas.namespaces) {
+        for (const { kind, path, status, deprecation } of collectMembers(namespaceName, schema).values()) {
+            if (status) {
+                deprecations.push({ namespace: namespaceName, kind, path, status, text: deprecation });
+            }
+        }
+    }
+    return deprecations.sort((a, b) => a.namespace.localeCompare(b.namespace) || a.path.localeCompare(b.path));
+}
+
+/**
+ * Formats the result of collectDeprecations() as a RST page, grouped by
+ * namespace.
+ *
+ * @param {Array<object>} deprecations - The result of collectDeprecations()
+ * @param {object} [options]
+ * @param {Function} [options.formatText] - Converts the deprecation text of an
+ *   entry into RST
+ * @param {string} [options.title] - Title of the page
+ * @returns {AdvancedArray} lines of the page
+ */
+export function formatDeprecationsRst(deprecations, { formatText = entry => entry.text, title = "Deprecated and unsupported API elements" } = {}) {
+    const doc = new AdvancedArray();
+    doc.append([
+        ".. _deprecations:",
+        "",
+        "=".repeat(title.length),
+        title,
+        "=".repeat(title.length),
+        "",
+        ".. role:: permission",
+        "",
+        ".. role:: value",
+        "",
+        ".. role:: code",
+        "",
+        "The WebExtension API elements which are deprecated or no longer supported. They should not be used in new add-ons.",
+        "",
+    ]);
+
+    if (!deprecations.length) {
+        doc.addParagraph("No deprecated or unsupported API elements.");
+        return doc;
+    }
+
+    const format_entry = (entry) => {
+        const label = entry.status == "unsupported" ? "**Unsupported.**" : "**Deprecated.**";
+        const text = entry.text ? formatText(entry) : "";
+        const link = entry.kind == "namespace"
+            ? `:doc:${SBT}${entry.path}${SBT}`
+            : `:ref:${SBT}${entry.path} <${tools.escapeUppercase(entry.path)}>${SBT}`;
+        return `* ${KIND_LABELS[entry.kind]} ${link} -- ${label}${text ? ` ${text}` : ""}`
+            .split("\n")
+            .join("\n  ");
+    };
+
+    for (const namespaceName of [...new Set(deprecations.map(e => e.namespace))]) {
+        doc.append(["", namespaceName, "=".repeat(namespaceName.length), ""]);
+        doc.append(deprecations.filter(e => e.namespace == namespaceName).map(format_entry));
+        doc.append("");
+    }
+
+    return doc;
+}
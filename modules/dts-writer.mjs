@@ -0,0 +1,347 @@
+import { AdvancedArray } from "./classes.mjs";
+import { MarkdownWriter } from "./markdown-writer.mjs";
+
+const INDENT = "    ";
+
+// Names which cannot be used for function or variable declarations. Members
+// using them are declared with a leading underscore and exported under their
+// real name.
+const RESERVED_WORDS = [
+    "break", "case", "catch", "class", "const", "continue", "debugger",
+    "default", "delete", "do", "else", "enum", "export", "extends", "false",
+    "finally", "for", "function", "if", "import", "in", "instanceof", "new",
+    "null", "return", "super", "switch", "this", "throw", "true", "try",
+    "typeof", "var", "void", "while", "with",
+];
+
+/**
+ * Returns the lines preceding the generated namespace declarations.
+ *
+ * @param {string} title - Title included in the header comment
+ * @returns {string[]}
+ */
+export function getDeclarationHeader(title) {
+    return [
+        "/**",
+        ` * ${title}`,
+        " *",
+        " * Generated from the Thunderbird WebExtension API schemas. Do not edit.",
+        " */",
+        "",
+        "interface WebExtEvent<TCallback extends (...args: any[]) => any, TExtraParameters extends any[] = []> {",
+        `${INDENT}addListener(callback: TCallback, ...extraParameters: TExtraParameters): void;`,
+        `${INDENT}removeListener(callback: TCallback): void;`,
+        `${INDENT}hasListener(callback: TCallback): boolean;`,
+        "}",
+        "",
+    ];
+}
+
+/**
+ * Writer emitting TypeScript declarations. It inherits the reference
+ * resolution of Writer and uses Markdown for the JSDoc comments, which is
+ * rendered by most editors.
+ */
+export class DtsWriter extends MarkdownWriter {
+    format_link(ref, track = false) {
+        if (this.PRODUCT.external_types[ref]) {
+            return super.format_link(ref, track);
+        }
+        // Links in descriptions may point to any member, not only to types.
+        return `{@link messenger.${this.resolve_ref(ref)}}`;
+    }
+
+    has_type(ref) {
+        if (this.TYPES.has(ref)) {
+            return true;
+        }
+        const namespaceName = this.NAMESPACE_NAMES
+            .filter(e => ref.startsWith(`${e}.`))
+            .reduce((a, b) => (b.length > a.length ? b : a), "");
+        const id = ref.slice(namespaceName.length + 1);
+        return (this.SCHEMAS.get(namespaceName) || []).some(n => n.types?.some(t => t.id == id));
+    }
+
+    get_ts_ref(ref) {
+        const resolved = this.resolve_ref(ref);
+        if (this.has_type(resolved)) {
+            return `messenger.${resolved}`;
+        }
+
+        // External types are not defined by the schemas.
+        const externalType = this.PRODUCT.external_types[ref];
+        if (externalType) {
+            return externalType.ts_type ?? "any";
+        }
+
+        // Global types are sometimes referenced without their prefix, and
+        // manifest types are sometimes defined by a different API.
+        const id = resolved.split(".").at(-1);
+        for (let prefix of ["manifest", "extensionTypes"]) {
+            if (this.TYPES.has(`${prefix}.${id}`)) {
+                return `messenger.${prefix}.${id}`;
+            }
+        }
+        for (let [namespaceName, schema] of this.SCHEMAS) {
+            if (schema.some(n => n.types?.some(t => t.id == id))) {
+                return `messenger.${namespaceName}.${id}`;
+            }
+        }
+
+        this.reportFixMeIfTriggered(true, "missing-type-definition", `Missing type definition for ${ref}`);
+        return "any";
+    }
+
+    format_property_name(name) {
+        return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+    }
+
+    format_jsdoc(obj, indent = "") {
+        const lines = [];
+        const description = this.format_description(obj)
+            .toString()
+            .trim()
+            .replace(/[ ]+$/gm, "")
+            .replace(/\*\//g, "*\\/");
+        if (description) {
+            lines.push(...description.split("\n"));
+        }
+
+        const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+        const tags = [];
+        if (version_added && typeof version_added === "string") {
+            tags.push(`@since TB ${version_added}`);
+        }
+        if ("unsupported" in obj) {
+            tags.push("@deprecated Unsupported.");
+        } else if ("deprecated" in obj) {
+            tags.push(typeof obj.deprecated === "string"
+                ? `@deprecated ${this.replace_code(obj.deprecated)}`
+                : "@deprecated");
+        }
+        if (tags.length) {
+            if (lines.length) {
+                lines.push("");
+            }
+            lines.push(...tags);
+        }
+
+        if (!lines.length) {
+            return [];
+        }
+        return [
+            `${indent}/**`,
+            ...lines.map(l => l ? `${indent} * ${l}` : `${indent} *`),
+            `${indent} */`,
+        ];
+    }
+
+    get_ts_type(obj, indent = "") {
+        const wrap = type => /\||=>/.test(type) ? `(${type})` : type;
+
+        if ("$ref" in obj) {
+            return this.get_ts_ref(obj["$ref"]);
+        }
+        if ("choices" in obj) {
+            if (obj.choices.length == 1) {
+                return this.get_ts_type(obj.choices[0], indent);
+            }
+            return obj.choices.map(c => wrap(this.get_ts_type(c, indent))).join(" | ");
+        }
+        if (obj.enum != null) {
+            if (obj.enum.length == 0) {
+                return "never";
+            }
+            // Same order as in the documentation, without relying on the
+            // documentation being generated first.
+            return [...obj.enum].sort().map(e => JSON.stringify(e?.name ?? e)).join(" | ");
+        }
+
+        switch (obj.type) {
+            case "string":
+                return "string";
+            case "integer":
+            case "number":
+                return "number";
+            case "boolean":
+                return "boolean";
+            case "null":
+                return "null";
+            case "binary":
+                return "ArrayBuffer";
+            case "array":
+                return obj.items
+                    ? `${wrap(this.get_ts_type(obj.items, indent))}[]`
+                    : "any[]";
+            case "function":
+                return `(${this.format_ts_parameters(obj.parameters, indent)}) => ${obj.returns ? this.get_ts_type(obj.returns, indent) : "void"}`;
+            case "object":
+                if (obj.isInstanceOf) {
+                    return obj.isInstanceOf;
+                }
+                if (obj.properties || obj.additionalProperties || obj.patternProperties) {
+                    return this.format_ts_object_literal(obj, indent);
+                }
+                return "{ [key: string]: any }";
+        }
+        return "any";
+    }
+
+    format_ts_properties(obj, indent) {
+        const lines = [];
+        const entries = Object.entries(obj.properties ?? {})
+            .sort(([a], [b]) => a.localeCompare(b));
+        for (const [key, value] of entries) {
+            if (value.ignore) continue;
+            lines.push(...this.format_jsdoc(value, indent));
+            lines.push(`${indent}${this.format_property_name(key)}${value.optional ? "?" : ""}: ${this.get_ts_type(value, indent)};`);
+        }
+
+        const additional = [
+            obj.additionalProperties,
+            ...Object.values(obj.patternProperties ?? {}),
+        ].filter(e => e && typeof e == "object");
+        if (additional.length) {
+            const types = [...new Set(additional.map(e => this.get_ts_type(e, indent)))];
+            lines.push(`${indent}[key: string]: ${types.join(" | ")};`);
+        }
+        return lines;
+    }
+
+    format_ts_object_literal(obj, indent) {
+        const lines = this.format_ts_properties(obj, indent + INDENT);
+        if (!lines.length) {
+            return "{}";
+        }
+        return ["{", ...lines, `${indent}}`].join("\n");
+    }
+
+    format_ts_parameters(parameters, indent = "", { skip = null } = {}) {
+        const params = (parameters ?? []).filter(p => p.name !== skip);
+        return params.map((param, i) => {
+            const type = this.get_ts_type(param, indent);
+            // Optional parameters followed by required parameters cannot be
+            // declared optional.
+            if (param.optional && params.slice(i + 1).some(p => !p.optional)) {
+                return `${param.name}: ${type} | undefined`;
+            }
+            return `${param.name}${param.optional ? "?" : ""}: ${type}`;
+        }).join(", ");
+    }
+
+    format_ts_function(func, indent, { method = false } = {}) {
+        let returns = "void";
+        if (func.async) {
+            const callback = (func.parameters ?? []).find(p => p.name === func.async);
+            const value = func.returns ?? callback?.parameters?.[0];
+            returns = `Promise<${value ? this.get_ts_type(value, indent) : "void"}>`;
+        } else if (func.returns) {
+            returns = this.get_ts_type(func.returns, indent);
+        }
+
+        const isReserved = RESERVED_WORDS.includes(func.name) && !method;
+        const name = isReserved ? `_${func.name}` : func.name;
+        const params = this.format_ts_parameters(func.parameters, indent, { skip: func.async });
+        return [
+            ...this.format_jsdoc(func, indent),
+            `${indent}${method ? "" : isReserved ? "function " : "export function "}${name}(${params}): ${returns};`,
+        ];
+    }
+
+    format_ts_event(event, indent, { method = false } = {}) {
+        const listener = `(${this.format_ts_parameters(event.parameters, indent)}) => ${event.returns ? this.get_ts_type(event.returns, indent) : "void"}`;
+        const extraParameters = (event.extraParameters ?? []).map(p => {
+            const type = this.get_ts_type(p, indent);
+            return p.optional ? `${/\||=>/.test(type) ? `(${type})` : type}?` : type;
+        });
+        const type = extraParameters.length
+            ? `WebExtEvent<${listener}, [${extraParameters.join(", ")}]>`
+            : `WebExtEvent<${listener}>`;
+        return [
+            ...this.format_jsdoc(event, indent),
+            `${indent}${method ? "" : "export const "}${event.name}: ${type};`,
+        ];
+    }
+
+    format_ts_type(typeDef, indent) {
+        const lines = [...this.format_jsdoc(typeDef, indent)];
+        if (
+            typeDef.type === "object" &&
+            !("isInstanceOf" in typeDef) &&
+            ("properties" in typeDef || "functions" in typeDef || "events" in typeDef)
+        ) {
+            lines.push(`${indent}export interface ${typeDef.id} {`);
+            lines.push(...this.format_ts_properties(typeDef, indent + INDENT));
+            for (const func of typeDef.functions ?? []) {
+                lines.push(...this.format_ts_function(func, indent + INDENT, { method: true }));
+            }
+            for (const event of typeDef.events ?? []) {
+                lines.push(...this.format_ts_event(event, indent + INDENT, { method: true }));
+            }
+            lines.push(`${indent}}`);
+        } else {
+            let type = this.get_ts_type(typeDef, indent);
+            if (type == typeDef.id) {
+                // A type wrapping a global type of the same name (for example
+                // extensionTypes.File).
+                type = `globalThis.${type}`;
+            }
+            lines.push(`${indent}export type ${typeDef.id} = ${type};`);
+        }
+        return lines;
+    }
+
+    async generateDeclaration() {
+        const isSupported = obj => {
+            const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+            return version_added !== false;
+        };
+        const indent = INDENT.repeat(2);
+        const content = new AdvancedArray();
+        const reserved = [];
+
+        const typeDefs = new Map();
+        for (const typeDef of [...(this.namespaceSchema.types || []), ...(this.manifestSchema?.types || [])]) {
+            if (typeDef.id && !typeDefs.has(typeDef.id)) {
+                typeDefs.set(typeDef.id, typeDef);
+            }
+        }
+        for (const [id, typeDef] of [...typeDefs].sort(([a], [b]) => a.localeCompare(b))) {
+            content.append(["", ...this.format_ts_type(typeDef, indent)]);
+        }
+
+        const properties = this.namespaceSchema.properties ?? {};
+        for (const key of Object.keys(properties).sort((a, b) => a.localeCompare(b))) {
+            const property = properties[key];
+            if (!isSupported(property)) continue;
+            const type = "value" in property && (property.value === null || typeof property.value !== "object")
+                ? JSON.stringify(property.value)
+                : this.get_ts_type(property, indent);
+            content.append(["", ...this.format_jsdoc(property, indent), `${indent}export const ${key}: ${type};`]);
+        }
+
+        const functions = (this.namespaceSchema.functions ?? []).filter(isSupported);
+        for (const func of functions.sort((a, b) => a.name.localeCompare(b.name))) {
+            if (RESERVED_WORDS.includes(func.name)) {
+                reserved.push(func.name);
+            }
+            content.append(["", ...this.format_ts_function(func, indent)]);
+        }
+
+        const events = (this.namespaceSchema.events ?? []).filter(isSupported);
+        for (const event of events.sort((a, b) => a.name.localeCompare(b.name))) {
+            content.append(["", ...this.format_ts_event(event, indent)]);
+        }
+
+        if (reserved.length) {
+            content.append(["", `${indent}export { ${reserved.map(n => `_${n} as ${n}`).join(", ")} };`]);
+        }
+
+        const declaration = new AdvancedArray();
+        declaration.append(["", ...this.format_jsdoc(this.namespaceSchema, INDENT)]);
+        declaration.append(`${INDENT}namespace ${this.namespaceName} {`);
+        declaration.append(content.slice(1));
+        declaration.append(`${INDENT}}`);
+        return declaration;
+    }
+}
@@ -0,0 +1,899 @@
+/**
+ * The generator, which is used by generate-docs.js and can be used by other
+ * tools as a library:
+ *
+ * - generateDocs() generates the documentation without touching the output
+ *   folder and returns the generated files.
+ * - loadSchemas(), buildNamespaces() and renderNamespace() are the single
+ *   steps, for tools which only need some of the pages.
+ * - generate() is the full run of the command line script for a single
+ *   target, including the dry-run, lint and watch modes.
+ */
+
+import * as tools from './tools.mjs';
+import { Writer } from './writer.mjs';
+import { MarkdownWriter, MdxWriter, generateIndex } from './markdown-writer.mjs';
+import { DtsWriter, getDeclarationHeader } from './dts-writer.mjs';
+import { AdvancedArray } from './classes.mjs';
+import { buildNamespaceModel, buildModelIndex } from './model.mjs';
+import { buildManifestJsonSchema } from './manifest-schema.mjs';
+import { collectSymbols, buildSymbolMap, formatInventory } from './symbols.mjs';
+import { ReferenceChecker, collectWriterReferences, parseRstReferences } from './references.mjs';
+import { checkCodeSyntax, findRstCodeBlocks, getCodeLanguage } from './code-check.mjs';
+import { loadSchemas as loadSchemaFolder, applyTargetVersion } from './schemas.mjs';
+import { collectAdditions, collectDeprecations, formatWhatsNewRst, formatDeprecationsRst } from './diff.mjs';
+import { collectPermissions, formatPermissionsRst, PERMISSIONS_INDEX_NAME } from './permissions.mjs';
+import { Diagnostics } from './lint.mjs';
+import { watchFolders } from './watch.mjs';
+import { OutputFolder, MemoryOutput } from './output.mjs';
+import { DEFAULT_PRODUCT, loadProduct, createProduct, fillTemplate } from './product.mjs';
+import { loadPlugins } from './plugins.mjs';
+import { CliError } from './cli.mjs';
+
+import { promises as fs } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SBT = "`";
+// The template folder used by the command line script, relative to the
+// current folder.
+export const DEFAULT_TEMPLATE_PATH = `template`;
+// The template folder of this package, used by generateDocs().
+const PACKAGE_TEMPLATE_PATH = fileURLToPath(new URL("../template", import.meta.url));
+// Partials are included by other template files, but are not copied.
+const PARTIALS_FOLDER = `_partials`;
+// Template files which are processed as text, all other files are copied.
+const TEXT_TEMPLATE_FILES = /\.(rst|md|txt|py|js|css|html|yml|yaml|json)$/i;
+export const MANIFEST_VERSIONS = ["2", "3"];
+
+export const OUTPUT_FORMATS = {
+    "rst": { writer: Writer, extension: "rst" },
+    "markdown": { writer: MarkdownWriter, extension: "md" },
+    "mdx": { writer: MdxWriter, extension: "mdx" },
+};
+
+// Variables available in all text files of the template, in addition to the
+// variables of the product data.
+export const TEMPLATE_VARIABLES = {
+    "TITLE": (data, config) => data.title,
+    "LONG_TITLE": (data, config) => data.long_title,
+    "LINK": (data, config) => data.link,
+    "VERSION": (data, config) => data.thunderbird_version,
+    "MAJOR_VERSION": (data, config) => data.thunderbird_version.split(".")[0],
+    "CHANNEL": (data, config) => config.thunderbird_channel,
+    "MANIFEST_VERSION": (data, config) => config.manifest_version,
+    "NAMESPACE_COUNT": (data, config) => String(data.apiNames.length),
+    "API_LIST": (data, config) => data.apiNames,
+};
+
+// Options of the command line script, which are not supported by
+// generateDocs().
+const UNSUPPORTED_OPTIONS = ["lint", "lint_output", "watch", "targets", "dry-run"];
+
+const getRelatedNamespaceNames = (data, namespaceName) =>
+    [...data.relatedNamespaceNames.values()].find(e => e.includes(namespaceName)) ?? [namespaceName];
+
+const getParentNamespaceNames = (namespaceName) => namespaceName.split(".").slice(0, -1)
+    .map((_, i, parts) => parts.slice(0, i + 1).join("."));
+
+// Syntax errors of the code samples fail the run with check_code "fail".
+const hasFailedCodeCheck = (config, diagnostics) => config.check_code == "fail" &&
+    diagnostics.entries.some(e => e.rule == "code-syntax-error");
+
+/**
+ * Reads the schema files of config.schemas and builds the titles from the
+ * detected version. The detected thunderbird_channel and thunderbird_version
+ * are stored in the config.
+ *
+ * @param {object} config - The generator config, see generate()
+ * @param {object} [options]
+ * @param {object} [options.product] - The product data, see loadProduct()
+ * @param {Diagnostics} [options.diagnostics] - Collector for issues found
+ *   while merging the schema files
+ * @param {Function} [options.schemaLoader] - Function to load the schema
+ *   files, see loadSchemas() in schemas.mjs
+ * @param {object} [options.fileSystem] - The file system to read from, see
+ *   tools.nodeFileSystem
+ * @returns {Promise<object>} The loaded schemas (see loadSchemas() in
+ *   schemas.mjs), with the long_title, the title, the link and the sorted
+ *   apiNames
+ * @throws {CliError} if the schema files are not for the requested channel
+ */
+export async function loadSchemas(config, {
+    product = DEFAULT_PRODUCT,
+    diagnostics = null,
+    schemaLoader = loadSchemaFolder,
+    fileSystem = tools.nodeFileSystem,
+} = {}) {
+    const data = await schemaLoader(config.schemas, diagnostics, product.additional_type_files, fileSystem);
+    if (config.target_version) {
+        applyTargetVersion(data, config.target_version);
+    }
+    const { thunderbird_version } = data;
+    if (config.channel && config.channel != data.thunderbird_channel) {
+        throw new CliError(`The schema files in ${config.schemas} are for the ${data.thunderbird_channel} channel, not for the ${config.channel} channel`);
+    }
+    const channel = product.channels[data.thunderbird_channel];
+    if (!channel) {
+        throw new CliError(`The schema files in ${config.schemas} are for the ${data.thunderbird_channel} channel, which is not defined in the product data`);
+    }
+    config.thunderbird_channel = data.thunderbird_channel;
+    config.thunderbird_version = thunderbird_version;
+    const values = {
+        version: thunderbird_version,
+        major: thunderbird_version.split(".")[0],
+        channel: data.thunderbird_channel,
+        prefix: channel.prefix,
+        slug: channel.slug,
+        mv: config.manifest_version,
+    };
+    return {
+        ...data,
+        long_title: fillTemplate(product.long_title, values),
+        title: fillTemplate(product.title, values),
+        link: fillTemplate(product.link, values),
+        apiNames: [...data.namespaces.keys()].sort(),
+    };
+}
+
+/**
+ * Returns the options of the writer of an API namespace.
+ *
+ * @param {object} data - The loaded schemas, see loadSchemas()
+ * @param {string} namespaceName - Name of the namespace
+ * @param {object} options
+ * @param {object} options.config - The generator config
+ * @param {object} [options.product] - The product data
+ * @param {Plugins} [options.plugins] - The loaded plugins, see loadPlugins()
+ * @param {Diagnostics} [options.diagnostics] - Collector for the issues found
+ *   by the writer
+ * @returns {object}
+ */
+export function getNamespaceWriterOptions(data, namespaceName, { config, product = DEFAULT_PRODUCT, plugins = null, diagnostics = null }) {
+    const schema = data.namespaces.get(namespaceName);
+    return {
+        config,
+        namespaces: data.namespaces,
+        namespaceName,
+        namespaceSchema: schema.find(e => e.namespace == namespaceName),
+        parentNamespaceSchemas: getParentNamespaceNames(namespaceName)
+            .map(name => data.namespaces.get(name)?.find(e => e.namespace == name)),
+        manifestSchema: schema.find(e => e.namespace == "manifest"),
+        globalTypes: data.globalTypes,
+        PERMISSION_LOCALES: data.PERMISSION_LOCALES,
+        ADDITIONAL_TYPE_PREFIXES: data.ADDITIONAL_TYPE_PREFIXES,
+        RELATED_NAMESPACE_NAMES: getRelatedNamespaceNames(data, namespaceName),
+        SCHEMA_FILES: data.schemaFiles.get(namespaceName),
+        link: data.link,
+        product,
+        plugins,
+        diagnostics,
+    };
+}
+
+/**
+ * Returns the options of the writer of a global type prefix. Global types are
+ * not part of an API namespace, but their references are resolved relative to
+ * their own prefix.
+ *
+ * @param {object} data - The loaded schemas, see loadSchemas()
+ * @param {string} prefix - The global type prefix, e.g. "manifest"
+ * @param {object} options - see getNamespaceWriterOptions()
+ * @returns {object}
+ */
+export function getGlobalTypeWriterOptions(data, prefix, { config, product = DEFAULT_PRODUCT, plugins = null, diagnostics = null }) {
+    return {
+        config,
+        namespaces: data.namespaces,
+        namespaceName: prefix,
+        namespaceSchema: {
+            namespace: prefix,
+            types: [...data.globalTypes]
+                .filter(([name]) => name.startsWith(`${prefix}.`))
+                .map(([name, type]) => type),
+        },
+        parentNamespaceSchemas: [],
+        manifestSchema: { namespace: "manifest", types: [] },
+        globalTypes: data.globalTypes,
+        PERMISSION_LOCALES: data.PERMISSION_LOCALES,
+        ADDITIONAL_TYPE_PREFIXES: data.ADDITIONAL_TYPE_PREFIXES,
+        RELATED_NAMESPACE_NAMES: [],
+        SCHEMA_FILES: data.schemaFiles.get(prefix),
+        link: data.link,
+        product,
+        plugins,
+        diagnostics,
+    };
+}
+
+// Copies the images of the image annotations found by a writer from the schema
+// folder into the output. Missing images are reported, without an output (in
+// lint mode) the images are only checked.
+async function copyImages(writer, { config, fileSystem, output, diagnostics }) {
+    for (const [image, { src, member }] of writer.foundImages) {
+        let content;
+        try {
+            content = await fileSystem.readFile(path.join(config.schemas, image));
+        } catch (err) {
+            if (err.code != "ENOENT") {
+                throw err;
+            }
+            diagnostics?.report({
+                rule: "missing-image",
+                message: `Missing image ${image}`,
+                namespace: writer.namespaceName,
+                path: member ?? writer.namespaceName,
+                files: writer.SCHEMA_FILES,
+            });
+            continue;
+        }
+        if (output) {
+            await output.write(path.join(config.output, src), content);
+        }
+    }
+}
+
+/**
+ * Generates the page of an API namespace, in the format of config.format.
+ *
+ * @param {object} data - The loaded schemas, see loadSchemas()
+ * @param {string} namespaceName - Name of the namespace
+ * @param {object} options - see getNamespaceWriterOptions()
+ * @returns {Promise<{writer: Writer, content: string}>} The writer, which
+ *   keeps the found types, labels and references, and the page
+ */
+export async function renderNamespace(data, namespaceName, options) {
+    const outputFormat = OUTPUT_FORMATS[options.config.format ?? "rst"];
+    const writer = new outputFormat.writer(getNamespaceWriterOptions(data, namespaceName, options));
+    const doc = await writer.generateApiDoc();
+    return { writer, content: doc.toString() };
+}
+
+/**
+ * Generates the pages of the given API namespaces, see renderNamespace().
+ *
+ * @param {object} data - The loaded schemas, see loadSchemas()
+ * @param {object} options - see getNamespaceWriterOptions()
+ * @param {string[]} [options.namespaceNames] - The namespaces to generate
+ *   (default: all)
+ * @returns {Promise<Map<string, object>>} The result of renderNamespace(),
+ *   keyed by namespace name
+ */
+export async function buildNamespaces(data, { namespaceNames = data.apiNames, ...options }) {
+    const pages = new Map();
+    for (const namespaceName of namespaceNames) {
+        if (!data.namespaces.has(namespaceName)) {
+            throw new Error(`Unknown namespace ${namespaceName}`);
+        }
+        pages.set(namespaceName, await renderNamespace(data, namespaceName, options));
+    }
+    return pages;
+}
+
+/**
+ * Generates the documentation for a single channel and manifest version. This
+ * is what generate-docs.js does for each target, including the watch mode.
+ *
+ * @param {object} config - The generator config, keyed by option name (see
+ *   generate-docs.js)
+ * @param {object} [options]
+ * @param {object} [options.product] - The product data, see loadProduct()
+ * @param {Plugins} [options.plugins] - The loaded plugins, see loadPlugins()
+ * @param {Function} [options.schemaLoader] - Function to load the schema
+ *   files, see loadSchemas() in schemas.mjs
+ * @param {object} [options.fileSystem] - The file system used to read the
+ *   schema files and the template, see tools.nodeFileSystem
+ * @param {OutputFolder} [options.output] - Receives the generated files
+ *   (default: an OutputFolder for config.output), see also MemoryOutput
+ * @param {string} [options.templatePath] - Folder of the Sphinx template
+ * @param {Function} [options.log] - Prints the progress messages
+ * @returns {Promise<object>} The output with the recorded changes (null in
+ *   lint mode), the diagnostics, the deprecationSummary (the number of
+ *   deprecated and unsupported members) and failed, which is true if errors
+ *   have been found in lint mode or syntax errors with check_code "fail"
+ */
+export async function generate(config, {
+    product = DEFAULT_PRODUCT,
+    plugins = null,
+    schemaLoader = loadSchemaFolder,
+    fileSystem = tools.nodeFileSystem,
+    output = null,
+    templatePath = DEFAULT_TEMPLATE_PATH,
+    log = console.log,
+} = {}) {
+    const outputFormat = OUTPUT_FORMATS[config.format ?? "rst"];
+    const lintFormat = config.lint || null;
+    let diagnostics = new Diagnostics();
+
+    // In watch mode, the schema files are loaded again whenever they change.
+    const loadData = () => loadSchemas(config, { product, diagnostics, schemaLoader, fileSystem });
+
+    const getWriterOptions = (data, namespaceName) =>
+        getNamespaceWriterOptions(data, namespaceName, { config, product, plugins, diagnostics });
+    const getGlobalWriterOptions = (data, prefix) =>
+        getGlobalTypeWriterOptions(data, prefix, { config, product, plugins, diagnostics });
+
+    // All output is written through the output folder, which skips files whose
+    // content did not change and keeps track of the generated files.
+    if (lintFormat) {
+        output = null;
+    } else if (!output) {
+        output = new OutputFolder(config.output, { dryRun: !!config["dry-run"] });
+    }
+    const writeOutputFile = (filePath, content) => output.write(filePath, content);
+
+    // Variables and processing steps for specific files of the template, in
+    // addition to the common template variables.
+    const templateProcessors = [
+        {
+            matcher: /\.rst$/i,
+            recursive: true,
+            variables: data => ({
+                "TITLE": [
+                    "=".repeat(data.title.length),
+                    data.title,
+                    "=".repeat(data.title.length),
+                ],
+            }),
+            // Convert $(ref:...) to :ref:`...` with escaped upper case letters.
+            process: (data, content) => content.replace(/\$\(ref:(.*?)\)/g, (match, ref) =>
+                `:ref:${SBT}${tools.escapeUppercase(ref)}${SBT}`
+            ),
+        },
+        {
+            matcher: "conf.py",
+            recursive: false,
+            variables: data => ({
+                "TITLE": `${data.long_title}<br><br>Manifest V${config.manifest_version}`,
+            }),
+        },
+    ];
+
+    const getTemplateVariables = (data) => Object.fromEntries([
+        ...Object.entries(product.variables),
+        ...Object.entries(TEMPLATE_VARIABLES).map(([name, getValue]) => [name, getValue(data, config)]),
+    ]);
+
+    const isPartial = relativePath => relativePath.split(path.sep)[0] == PARTIALS_FOLDER;
+
+    // The syntax errors of the code blocks of each template file, reported
+    // after each run, as only changed files are processed again in watch mode.
+    const templateCodeErrors = new Map();
+    const checkRstCode = (text, filePath) => findRstCodeBlocks(text)
+        .filter(block => getCodeLanguage(block.language))
+        .map(block => ({ block, error: checkCodeSyntax(getCodeLanguage(block.language), block.code) }))
+        .filter(({ error }) => error)
+        .map(({ block, error }) => ({
+            rule: "code-syntax-error",
+            message: `Syntax error in the ${block.language} code block (line ${block.line + (error.line ?? 1) - 1} of the generated file): ${error.message}`,
+            files: [filePath],
+        }));
+
+    const loadPartials = async () => {
+        const folderPath = path.join(templatePath, PARTIALS_FOLDER);
+        const partials = new Map();
+        const files = await fileSystem.listFiles(folderPath).catch(err => {
+            if (err.code == "ENOENT") return [];
+            throw err;
+        });
+        for (let file of files) {
+            partials.set(file.split(path.sep).join("/"), (await fileSystem.readFile(path.join(folderPath, file))).toString("utf8"));
+        }
+        return partials;
+    };
+
+    // Copies the given files of the Sphinx template into the output folder.
+    // Text files are processed in this order: {{CONDITION}} tags, {{INCLUDE}}
+    // tags, variables and file specific processing. Partials are not copied,
+    // if a partial is given, all files are processed again. Markdown based
+    // formats do not use the Sphinx template, but get an index file.
+    const renderTemplate = async (data, relativePaths) => {
+        if (outputFormat.extension != "rst") {
+            await writeOutputFile(
+                path.join(config.output, `index.${outputFormat.extension}`),
+                generateIndex(data.long_title, data.apiNames, outputFormat.extension).join("\n")
+            );
+            return;
+        }
+
+        if (relativePaths.some(isPartial)) {
+            relativePaths = await fileSystem.listFiles(templatePath);
+        }
+        const partials = await loadPartials();
+        const variables = getTemplateVariables(data);
+
+        for (let relativePath of relativePaths.filter(e => !isPartial(e))) {
+            const destination = path.join(config.output, relativePath);
+            let content;
+            try {
+                content = await fileSystem.readFile(path.join(templatePath, relativePath));
+            } catch (err) {
+                if (err.code == "ENOENT") {
+                    // The file has been removed from the template.
+                    templateCodeErrors.delete(relativePath);
+                    await output.remove(destination);
+                    continue;
+                }
+                if (err.code == "EISDIR") {
+                    continue;
+                }
+                throw err;
+            }
+
+            const fileName = path.basename(relativePath);
+            if (TEXT_TEMPLATE_FILES.test(fileName)) {
+                const isTopLevel = path.dirname(relativePath) == ".";
+                const processors = templateProcessors.filter(({ matcher, recursive }) =>
+                    (typeof matcher === "string" ? fileName === matcher : matcher.test(fileName))
+                    && (recursive || isTopLevel)
+                );
+                try {
+                    let text = tools.evaluateConditionTag(content.toString("utf8"), config);
+                    text = tools.expandIncludeTags(text, partials, config);
+                    text = tools.replaceVariableTags(text, Object.assign(
+                        {}, variables, ...processors.map(e => e.variables(data))
+                    ));
+                    for (let { process } of processors) {
+                        if (process) {
+                            text = process(data, text);
+                        }
+                    }
+                    content = text;
+                    if (/\.rst$/i.test(fileName)) {
+                        references.setPage(
+                            relativePath.split(path.sep).join("/"),
+                            parseRstReferences(text, { files: [path.join(templatePath, relativePath)] })
+                        );
+                        if (config.check_code) {
+                            templateCodeErrors.set(relativePath, checkRstCode(text, path.join(templatePath, relativePath)));
+                        }
+                    }
+                } catch (err) {
+                    if (err instanceof tools.TemplateError) {
+                        err.message = `${path.join(templatePath, relativePath)}: ${err.message}`;
+                    }
+                    throw err;
+                }
+            }
+            await writeOutputFile(destination, content);
+        }
+    };
+
+    // The types used by each namespace, the models and the symbols of each
+    // namespace, kept for incremental updates in watch mode.
+    const usedTypes = new Map();
+    const models = new Map();
+    const symbols = new Map();
+    // The labels and references of all generated RST files.
+    const references = new ReferenceChecker();
+
+    const generateNamespaces = async (data, namespaceNames) => {
+        for (let namespaceName of namespaceNames) {
+            const { writer, content } = await renderNamespace(data, namespaceName, { config, product, plugins, diagnostics });
+            usedTypes.set(namespaceName, writer.foundTypes);
+            if (outputFormat.extension == "rst") {
+                references.setPage(`${namespaceName}.rst`, collectWriterReferences(writer));
+            }
+            await copyImages(writer, { config, fileSystem, output, diagnostics });
+            if (lintFormat) {
+                continue;
+            }
+            if (config["emit-model"]) {
+                models.set(namespaceName, buildNamespaceModel(writer));
+            }
+            if (config.symbols || config.inventory) {
+                symbols.set(namespaceName, collectSymbols(writer));
+            }
+
+            await writeOutputFile(
+                path.join(config.output, `${namespaceName}.${outputFormat.extension}`),
+                content
+            );
+        }
+    };
+
+    const removeNamespaces = async (namespaceNames) => {
+        for (let namespaceName of namespaceNames) {
+            usedTypes.delete(namespaceName);
+            models.delete(namespaceName);
+            symbols.delete(namespaceName);
+            references.removePage(`${namespaceName}.rst`);
+            await output.remove(path.join(config.output, `${namespaceName}.${outputFormat.extension}`));
+            if (config["emit-model"]) {
+                await output.remove(path.join(getModelPath(), `${namespaceName}.json`));
+            }
+        }
+    };
+
+    // The declarations are generated from the same schemas as the pages, the
+    // issues found in them are already reported by the page writers.
+    const generateDeclarations = async (data) => {
+        const declaration = new AdvancedArray();
+        declaration.append(getDeclarationHeader(`${data.long_title}, Manifest V${config.manifest_version}`));
+        declaration.append("declare namespace messenger {");
+
+        // Global types are declared in their own namespace.
+        for (let prefix of data.ADDITIONAL_TYPE_PREFIXES) {
+            const writer = new DtsWriter({ ...getGlobalWriterOptions(data, prefix), diagnostics: null });
+            declaration.append(await writer.generateDeclaration());
+        }
+
+        for (let namespaceName of data.apiNames) {
+            const writer = new DtsWriter({ ...getWriterOptions(data, namespaceName), diagnostics: null });
+            declaration.append(await writer.generateDeclaration());
+        }
+
+        declaration.append(["}", "", "declare const browser: typeof messenger;", ""]);
+
+        await writeOutputFile(
+            config.dts === true ? path.join(config.output, "messenger.d.ts") : config.dts,
+            declaration.toString()
+        );
+    };
+
+    const getModelPath = () => config["emit-model"] === true
+        ? path.join(config.output, "model")
+        : config["emit-model"];
+
+    const writeModels = async (data) => {
+        const modelPath = getModelPath();
+        const index = buildModelIndex({
+            config,
+            thunderbird_version: data.thunderbird_version,
+            namespaceNames: [...models.keys()],
+            globalTypes: data.globalTypes,
+            globalTypeWriters: new Map(data.ADDITIONAL_TYPE_PREFIXES.map(
+                prefix => [prefix, new Writer(getGlobalWriterOptions(data, prefix))]
+            )),
+        });
+        await writeOutputFile(
+            path.join(modelPath, "index.json"),
+            JSON.stringify(index, null, 2)
+        );
+        for (let [namespaceName, model] of models) {
+            await writeOutputFile(
+                path.join(modelPath, `${namespaceName}.json`),
+                JSON.stringify(model, null, 2)
+            );
+        }
+    };
+
+    const writeManifestSchema = async (data) => {
+        // References are resolved by the writer of the API adding a key, or
+        // by the writer of the global type prefix.
+        const writers = new Map();
+        const getWriter = (name) => {
+            if (!writers.has(name)) {
+                const options = data.namespaces.has(name)
+                    ? getWriterOptions(data, name)
+                    : getGlobalWriterOptions(data, name);
+                writers.set(name, new Writer({ ...options, diagnostics: null }));
+            }
+            return writers.get(name);
+        };
+        const schema = buildManifestJsonSchema({
+            getWriter,
+            manifestVersion: config.manifest_version,
+            title: "manifest.json",
+            description: `${data.long_title}, Manifest V${config.manifest_version}`,
+            link: data.link,
+        });
+        await writeOutputFile(
+            config["manifest-schema"] === true ? path.join(config.output, "manifest.schema.json") : config["manifest-schema"],
+            JSON.stringify(schema, null, 2)
+        );
+    };
+
+    const writeSymbols = async (data, pageSymbols) => {
+        if (config.symbols) {
+            const symbolMap = buildSymbolMap(pageSymbols, {
+                thunderbirdVersion: data.thunderbird_version,
+                manifestVersion: config.manifest_version,
+                link: data.link,
+            });
+            await writeOutputFile(
+                config.symbols === true ? path.join(config.output, "symbols.json") : config.symbols,
+                JSON.stringify(symbolMap, null, 2)
+            );
+        }
+        if (config.inventory) {
+            await writeOutputFile(
+                config.inventory === true ? path.join(config.output, "objects.inv") : config.inventory,
+                formatInventory(pageSymbols, { project: data.title, version: data.thunderbird_version })
+            );
+        }
+    };
+
+    // The deprecated and unsupported members, updated with the additional
+    // files and counted in the console summary.
+    let deprecations = [];
+    const getDeprecationSummary = () => {
+        const count = status => deprecations.filter(e => e.status == status).length;
+        return `${count("deprecated")} deprecated and ${count("unsupported")} unsupported member(s)`;
+    };
+
+    const generateAdditionalFiles = async (data) => {
+        deprecations = collectDeprecations(data);
+        // The pages are part of the Sphinx template, they are not generated for
+        // the markdown based formats.
+        if (outputFormat.extension == "rst") {
+            // Writes a page and keeps its labels and references.
+            const writePage = async (name, text) => {
+                references.setPage(name, parseRstReferences(text, { path: name }));
+                await writeOutputFile(path.join(config.output, name), text);
+            };
+            await writePage("whats-new.rst", formatWhatsNewRst(collectAdditions(data)).toString());
+            // Deprecation texts may include references, which are resolved
+            // relative to their namespace.
+            const formatText = entry => new Writer(getWriterOptions(data, entry.namespace)).replace_code(entry.text);
+            await writePage("deprecations.rst", formatDeprecationsRst(deprecations, { formatText }).toString());
+            const getDescription = permission => {
+                const writer = new Writer(getWriterOptions(data, permission.requiredBy[0].namespace));
+                return writer.replace_code(writer.get_permission_description(permission.name));
+            };
+            await writePage(
+                `${PERMISSIONS_INDEX_NAME}.rst`,
+                formatPermissionsRst(collectPermissions(data), { getDescription }).toString()
+            );
+            // The manifest keys only reference global types, the types of the
+            // APIs are linked to their pages.
+            const manifestWriter = new Writer({
+                ...getGlobalWriterOptions(data, "manifest"),
+                namespaceSchema: { namespace: "manifest", types: [] },
+                diagnostics: null,
+            });
+            await writeOutputFile(
+                path.join(config.output, "manifest.rst"),
+                (await manifestWriter.generateManifestDoc()).toString()
+            );
+            references.setPage("manifest.rst", collectWriterReferences(manifestWriter));
+            await copyImages(manifestWriter, { config, fileSystem, output, diagnostics: null });
+            if (config.symbols || config.inventory) {
+                await writeSymbols(data, [
+                    ...[...symbols.values()].flat(),
+                    ...collectSymbols(manifestWriter, { page: "manifest", isNamespace: false }),
+                ]);
+            }
+        }
+        if (config.dts) {
+            await generateDeclarations(data);
+        }
+        if (config["emit-model"]) {
+            await writeModels(data);
+        }
+        if (config["manifest-schema"]) {
+            await writeManifestSchema(data);
+        }
+    };
+
+    // Checks the references of all generated RST files. The issues are only
+    // listed with the other diagnostics, otherwise they are just counted.
+    const checkReferences = () => {
+        if (outputFormat.extension != "rst") {
+            return;
+        }
+        const count = references.check(diagnostics);
+        if (count && !lintFormat && !config.report_errors) {
+            log(`Found ${count} issue(s) in the references and labels of the generated files, use --report_errors to list them.`);
+        }
+    };
+
+    // Reports the syntax errors of the template, the syntax errors of the code
+    // annotations are reported by the writers.
+    const checkCode = () => {
+        if (!config.check_code) {
+            return;
+        }
+        [...templateCodeErrors.values()].flat().forEach(e => diagnostics.report(e));
+        const count = diagnostics.entries.filter(e => e.rule == "code-syntax-error").length;
+        if (count && !lintFormat && !config.report_errors) {
+            log(`Found ${count} syntax error(s) in the code samples, use --report_errors to list them.`);
+        }
+    };
+
+    const isFailed = () => (lintFormat && diagnostics.errorCount > 0) || hasFailedCodeCheck(config, diagnostics);
+
+    const reportDiagnostics = async () => {
+        if (!lintFormat && !config.report_errors) {
+            return;
+        }
+        const report = diagnostics.format(lintFormat ?? "text", config.schemas);
+        if (config.lint_output) {
+            await fs.writeFile(config.lint_output, report, "utf8");
+        } else {
+            log(report);
+        }
+    };
+
+    // Serialized copies of the loaded schemas, taken before the writers modify
+    // them. Used in watch mode to find the namespaces affected by a change.
+    const takeSnapshot = (data) => ({
+        namespaces: new Map([...data.namespaces].map(([name, schema]) => [name, JSON.stringify(schema)])),
+        globalTypes: new Map([...data.globalTypes].map(([id, type]) => [id, JSON.stringify(type)])),
+        PERMISSION_LOCALES: data.PERMISSION_LOCALES,
+    });
+
+    // A namespace is affected by a change, if its own schema, the schema of a
+    // parent or related namespace (defined in the same file), one of the global
+    // types it uses or the permission strings have been changed.
+    const getFingerprint = (snapshot, data, namespaceName) => JSON.stringify([
+        ...[...getRelatedNamespaceNames(data, namespaceName), ...getParentNamespaceNames(namespaceName)]
+            .map(name => snapshot.namespaces.get(name) ?? null),
+        ...[...(usedTypes.get(namespaceName) ?? [])]
+            .map(id => snapshot.globalTypes.get(id) ?? null),
+        snapshot.PERMISSION_LOCALES,
+    ]);
+
+    let data = await loadData();
+    let snapshot = config.watch ? takeSnapshot(data) : null;
+
+    if (!lintFormat) {
+        await output.load();
+        await renderTemplate(data, await fileSystem.listFiles(templatePath));
+    }
+    await generateNamespaces(data, data.namespaces.keys());
+    if (!lintFormat) {
+        await generateAdditionalFiles(data);
+        await output.finish();
+    }
+    if (config["dry-run"]) {
+        log(output.formatChanges());
+    }
+    if (!lintFormat) {
+        log(`Generated ${data.apiNames.length} namespace(s) with ${getDeprecationSummary()}.`);
+    }
+    checkReferences();
+    checkCode();
+    await reportDiagnostics();
+
+    if (config.watch) {
+        const isInFolder = (folderPath, filePath) => {
+            const relativePath = path.relative(folderPath, filePath);
+            return !relativePath.startsWith("..") && !path.isAbsolute(relativePath);
+        };
+
+        log(`Watching ${config.schemas} and ${templatePath} for changes ...`);
+        watchFolders([config.schemas, templatePath], async (changedPaths) => {
+            output.changes = [];
+            diagnostics = new Diagnostics();
+
+            let templateFiles = [...changedPaths]
+                .filter(e => isInFolder(templatePath, e))
+                .map(e => path.relative(templatePath, e));
+
+            if ([...changedPaths].some(e => isInFolder(config.schemas, e))) {
+                const newData = await loadData();
+                const newSnapshot = takeSnapshot(newData);
+
+                const affectedNamespaceNames = newData.apiNames.filter(namespaceName =>
+                    getFingerprint(snapshot, newData, namespaceName) != getFingerprint(newSnapshot, newData, namespaceName)
+                );
+                const removedNamespaceNames = data.apiNames.filter(e => !newData.namespaces.has(e));
+                // The template uses the titles, the version and the list of APIs.
+                if (JSON.stringify(getTemplateVariables(newData)) != JSON.stringify(getTemplateVariables(data))) {
+                    templateFiles = await fileSystem.listFiles(templatePath);
+                }
+
+                data = newData;
+                snapshot = newSnapshot;
+                await removeNamespaces(removedNamespaceNames);
+                await generateNamespaces(data, affectedNamespaceNames);
+                if (affectedNamespaceNames.length || removedNamespaceNames.length) {
+                    await generateAdditionalFiles(data);
+                }
+                log(`Regenerated ${affectedNamespaceNames.length} namespace(s): ${affectedNamespaceNames.join(", ") || "-"}`);
+            }
+
+            if (templateFiles.length) {
+                await renderTemplate(data, templateFiles);
+            }
+
+            await output.finish();
+            for (let { action, filePath } of output.changes) {
+                log(` - ${action} ${filePath}`);
+            }
+            checkReferences();
+            checkCode();
+            await reportDiagnostics();
+        });
+    }
+
+    return { output, diagnostics, deprecationSummary: getDeprecationSummary(), failed: isFailed() };
+}
+
+/**
+ * Generates the documentation and returns the generated files, the files are
+ * only written if an OutputFolder is given as outputAdapter. All options of
+ * the command line script are supported (keyed by option name), except the
+ * lint, watch, targets and dry-run modes.
+ *
+ * @param {object} options
+ * @param {string} options.schemas - Folder of the schema files
+ * @param {number|string} options.manifest_version - The manifest version
+ * @param {string} [options.output] - The output folder, other files are
+ *   stored relative to it (default: the current folder)
+ * @param {object|string} [options.product] - The product data (values of a
+ *   product file) or the path of a product file
+ * @param {Array<string|object>} [options.plugins] - Paths of the plugin
+ *   modules or the plugins themselves, see plugins.mjs
+ * @param {string[]} [options.namespaces] - Only generate the pages of these
+ *   API namespaces, without the template and the additional files
+ * @param {object} [options.fileSystem] - The file system used to read the
+ *   schema files and the template, see tools.nodeFileSystem
+ * @param {OutputFolder} [options.outputAdapter] - Receives the generated
+ *   files (default: a MemoryOutput)
+ * @param {string} [options.templatePath] - Folder of the Sphinx template
+ *   (default: the template of this package)
+ * @param {Function} [options.log] - Prints the progress messages (default:
+ *   none)
+ * @returns {Promise<object>} The output, the generated files (a Map of
+ *   Buffers keyed by path, only for a MemoryOutput), the diagnostics, the
+ *   deprecationSummary and failed (see generate())
+ */
+export async function generateDocs({
+    product = null,
+    plugins = [],
+    namespaces = null,
+    fileSystem = tools.nodeFileSystem,
+    outputAdapter = null,
+    templatePath = PACKAGE_TEMPLATE_PATH,
+    log = () => { },
+    ...options
+}) {
+    const config = { format: "rst", output: ".", ...options };
+    config.manifest_version = String(config.manifest_version ?? "");
+
+    const errors = [];
+    if (!config.schemas) {
+        errors.push("The schemas option is required");
+    }
+    if (!MANIFEST_VERSIONS.includes(config.manifest_version)) {
+        errors.push(`The manifest_version option must be one of ${MANIFEST_VERSIONS.join(", ")}`);
+    }
+    if (!OUTPUT_FORMATS[config.format]) {
+        errors.push(`The format option must be one of ${Object.keys(OUTPUT_FORMATS).join(", ")}`);
+    }
+    for (const name of ["symbols", "inventory"]) {
+        if (config[name] && config.format != "rst") {
+            errors.push(`The ${name} option is only supported by the rst format`);
+        }
+    }
+    for (const name of UNSUPPORTED_OPTIONS.filter(e => config[e])) {
+        errors.push(`The ${name} option is not supported by generateDocs()`);
+    }
+    if (errors.length) {
+        throw new Error(errors.join("\n"));
+    }
+
+    if (typeof product === "string") {
+        product = await loadProduct(product);
+    } else {
+        product = product ? createProduct(product) : DEFAULT_PRODUCT;
+    }
+    plugins = await loadPlugins(plugins);
+    const output = outputAdapter ?? new MemoryOutput(config.output);
+
+    let result;
+    if (namespaces) {
+        // Only the pages of the namespaces are generated, so no other files
+        // are removed.
+        const diagnostics = new Diagnostics();
+        const data = await loadSchemas(config, { product, diagnostics, fileSystem });
+        await output.load();
+        const pages = await buildNamespaces(data, { namespaceNames: namespaces, config, product, plugins, diagnostics });
+        for (const [namespaceName, { writer, content }] of pages) {
+            await output.write(
+                path.join(config.output, `${namespaceName}.${OUTPUT_FORMATS[config.format].extension}`),
+                content
+            );
+            await copyImages(writer, { config, fileSystem, output, diagnostics });
+        }
+        result = { output, diagnostics, deprecationSummary: null, failed: hasFailedCodeCheck(config, diagnostics) };
+    } else {
+        result = await generate(config, { product, plugins, fileSystem, output, templatePath, log });
+    }
+    return {
+        ...result,
+        files: output instanceof MemoryOutput ? output.files : null,
+    };
+}
@@ -0,0 +1,356 @@
+/**
+ * Converts the HTML used in the schema descriptions into a small tree, which
+ * is rendered by the writers (see Writer.replace_code()). Only a subset of HTML
+ * is supported:
+ *
+ * - inline markup: <code>, <var>, <val>, <strong>, <b>, <em>, <i>, <a href>,
+ *   <permission> and <br>
+ * - blocks: <p>, <ul>, <ol>, <li>, <pre>, <table> (with <tr>, <th> and <td>)
+ *   and <dl>, which holds the descriptions of enum values and is dropped
+ *
+ * Other HTML elements are reported as unsupported, their content is kept.
+ * Tags which are not HTML elements, like <all_urls>, are kept as text. Unknown
+ * named entities are reported and kept as written.
+ */
+
+// The supported elements, see the description of this module.
+const INLINE_ELEMENTS = ["a", "b", "br", "code", "em", "i", "permission", "strong", "val", "var"];
+const BLOCK_ELEMENTS = ["dd", "dl", "dt", "li", "ol", "p", "pre", "table", "tbody", "td", "tfoot", "th", "thead", "tr", "ul"];
+
+// Other HTML elements, which are recognized as tags, but not supported.
+const UNSUPPORTED_ELEMENTS = [
+    "abbr", "address", "article", "aside", "blockquote", "caption", "center", "cite",
+    "col", "colgroup", "del", "details", "dfn", "div", "figcaption", "figure", "font",
+    "footer", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "img", "ins", "kbd",
+    "label", "mark", "nav", "q", "s", "samp", "section", "small", "span", "sub",
+    "summary", "sup", "tt", "u", "wbr",
+];
+
+const VOID_ELEMENTS = ["br", "col", "hr", "img", "wbr"];
+
+// Elements which cannot contain themselves. Some descriptions use a second
+// opening tag instead of the closing tag, e.g. <val>something<val>, which
+// closes the open element.
+const NON_NESTING_ELEMENTS = ["code", "permission", "val", "var"];
+
+// Elements closed by the opening tag of a sibling.
+const IMPLICITLY_CLOSED_ELEMENTS = {
+    li: ["li"],
+    p: ["p"],
+    dt: ["dt", "dd"],
+    dd: ["dt", "dd"],
+    tr: ["tr"],
+    td: ["td", "th"],
+    th: ["td", "th"],
+};
+
+// Named entities are case-sensitive, the upper case variants of the
+// entities in lower case are accepted as well (like &AMP;).
+const ENTITIES = {
+    Auml: "Ä",
+    Eacute: "É",
+    Ouml: "Ö",
+    Uuml: "Ü",
+    agrave: "à",
+    amp: "&",
+    apos: "'",
+    auml: "ä",
+    bull: "•",
+    ccedil: "ç",
+    copy: "©",
+    deg: "°",
+    eacute: "é",
+    egrave: "è",
+    euro: "€",
+    gt: ">",
+    hellip: "…",
+    laquo: "«",
+    ldquo: "“",
+    lsquo: "‘",
+    lt: "<",
+    mdash: "—",
+    middot: "·",
+    nbsp: "\u00A0",
+    ndash: "–",
+    ouml: "ö",
+    quot: "\"",
+    raquo: "»",
+    rdquo: "”",
+    reg: "®",
+    rsquo: "’",
+    szlig: "ß",
+    times: "×",
+    trade: "™",
+    uuml: "ü",
+};
+
+const TAG_REGEX = /<!--[\s\S]*?-->|<(\/?)([A-Za-z][\w-]*)((?:\s+[^<>]*?)?)\s*(\/?)>/g;
+const ATTRIBUTE_REGEX = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+// Decodes the entities of a string, the names of unknown named entities are
+// added to the given Set.
+function decodeEntities(str, unknownEntities) {
+    return str.replace(/&(#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi, (match, entity) => {
+        if (entity.startsWith("#")) {
+            const codePoint = /^#x/i.test(entity)
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+        }
+        const decoded = ENTITIES[entity] ?? (entity == entity.toUpperCase() ? ENTITIES[entity.toLowerCase()] : undefined);
+        if (decoded === undefined) {
+            unknownEntities.add(entity);
+        }
+        return decoded ?? match;
+    });
+}
+
+function parseAttributes(str, unknownEntities) {
+    const attributes = {};
+    for (const [, name, ...values] of str.matchAll(ATTRIBUTE_REGEX)) {
+        attributes[name.toLowerCase()] = decodeEntities(values.find(e => e !== undefined) ?? "", unknownEntities);
+    }
+    return attributes;
+}
+
+/**
+ * Parses the HTML of a description.
+ *
+ * @param {string} str - The description
+ * @returns {{nodes: object[], unsupportedTags: string[], unknownEntities: string[]}}
+ *   The parsed nodes, the names of the found unsupported HTML elements and of
+ *   the found unknown named entities. Text nodes have the shape {text},
+ *   element nodes the shape {tag, attributes, children}.
+ */
+export function parseHtml(str) {
+    const root = { tag: null, attributes: {}, children: [] };
+    const stack = [root];
+    const unsupportedTags = new Set();
+    const unknownEntities = new Set();
+    const current = () => stack.at(-1);
+    const addText = (text) => {
+        const children = current().children;
+        if (typeof children.at(-1)?.text === "string") {
+            children.at(-1).text += text;
+        } else if (text) {
+            children.push({ text });
+        }
+    };
+    // Closes the innermost open element with the given name, and all elements
+    // opened after it.
+    const close = (tag) => {
+        const index = stack.findLastIndex(e => e.tag == tag);
+        if (index > 0) {
+            stack.length = index;
+        }
+        return index > 0;
+    };
+
+    let position = 0;
+    for (const match of str.matchAll(TAG_REGEX)) {
+        const [source, closing, name, attributes, selfClosing] = match;
+        const tag = name?.toLowerCase();
+        if (tag && ![...INLINE_ELEMENTS, ...BLOCK_ELEMENTS, ...UNSUPPORTED_ELEMENTS].includes(tag)) {
+            continue;
+        }
+        addText(decodeEntities(str.slice(position, match.index), unknownEntities));
+        position = match.index + source.length;
+        if (!tag) {
+            // A comment.
+            continue;
+        }
+        if (UNSUPPORTED_ELEMENTS.includes(tag)) {
+            unsupportedTags.add(tag);
+        }
+
+        if (closing) {
+            // Stray closing tags are ignored.
+            close(tag);
+            continue;
+        }
+        if (NON_NESTING_ELEMENTS.includes(tag) && close(tag)) {
+            continue;
+        }
+        const siblings = IMPLICITLY_CLOSED_ELEMENTS[tag];
+        if (siblings && siblings.includes(current().tag)) {
+            stack.pop();
+        }
+        const element = { tag, attributes: parseAttributes(attributes, unknownEntities), children: [] };
+        current().children.push(element);
+        if (!selfClosing && !VOID_ELEMENTS.includes(tag)) {
+            stack.push(element);
+        }
+    }
+    addText(decodeEntities(str.slice(position), unknownEntities));
+    return { nodes: root.children, unsupportedTags: [...unsupportedTags], unknownEntities: [...unknownEntities] };
+}
+
+/**
+ * Returns the text content of parsed nodes.
+ *
+ * @param {object[]} nodes - see parseHtml()
+ * @returns {string}
+ */
+export function getTextContent(nodes) {
+    return nodes.map(node => node.text ?? (node.tag == "br" ? " " : getTextContent(node.children))).join("");
+}
+
+/**
+ * Renders parsed nodes with the primitives of a writer. The writer provides
+ * format_text() for plain text (which resolves the references and escapes the
+ * text), format_markup() for inline markup and the block primitives
+ * code_block() and table().
+ */
+export class HtmlRenderer {
+    #writer;
+    #listDepth = 0;
+
+    /**
+     * @param {Writer} writer - The writer of the page
+     */
+    constructor(writer) {
+        this.#writer = writer;
+    }
+
+    /**
+     * Renders nodes as blocks, separated by empty lines.
+     *
+     * @param {object[]} nodes - see parseHtml()
+     * @returns {string}
+     */
+    render(nodes) {
+        const blocks = [];
+        let inline = [];
+        const addParagraph = () => {
+            const text = this.renderInline(inline).trim();
+            if (text) {
+                blocks.push(text);
+            }
+            inline = [];
+        };
+        for (const node of nodes) {
+            if (!BLOCK_ELEMENTS.includes(node.tag)) {
+                inline.push(node);
+                continue;
+            }
+            addParagraph();
+            const block = this.renderBlock(node);
+            if (block) {
+                blocks.push(block);
+            }
+        }
+        addParagraph();
+        return blocks.join("\n\n");
+    }
+
+    renderBlock(node) {
+        switch (node.tag) {
+            case "p":
+            case "li":
+            case "dd":
+            case "dt":
+                return this.render(node.children);
+            case "ul":
+            case "ol":
+                return this.renderList(node);
+            case "pre": {
+                const code = getTextContent(node.children).replace(/^\n/, "").trimEnd();
+                return this.#writer.code_block("text", code.split("\n")).join("\n").trim();
+            }
+            case "table":
+                return this.renderTable(node);
+            case "dl":
+                // Descriptions of enum values, which get extracted and used
+                // elsewhere.
+                return "";
+            default:
+                // Table rows and cells outside of a table.
+                return this.render(node.children);
+        }
+    }
+
+    renderList(node) {
+        let number = Number(node.attributes.start) || 1;
+        const items = [];
+        for (const child of node.children) {
+            if (child.tag != "li") {
+                const text = this.render([child]);
+                if (text) {
+                    items.push(text);
+                }
+                continue;
+            }
+            // Only top-level lists are indented by a space, the content of an
+            // item (including nested lists) is indented to its text column.
+            const marker = `${this.#listDepth ? "" : " "}${node.tag == "ol" ? `${number++}.` : "*"} `;
+            const indent = " ".repeat(marker.length);
+            this.#listDepth++;
+            const lines = this.render(child.children).split("\n");
+            this.#listDepth--;
+            items.push([
+                `${marker}${lines[0]}`.trimEnd(),
+                ...lines.slice(1).map(line => line ? `${indent}${line}` : line),
+            ].join("\n"));
+        }
+        return items.join("\n\n");
+    }
+
+    renderTable(node) {
+        const rows = [];
+        const collectRows = (nodes) => {
+            for (const child of nodes) {
+                if (child.tag == "tr") {
+                    rows.push(child.children.filter(e => ["td", "th"].includes(e.tag)));
+                } else if (["thead", "tbody", "tfoot"].includes(child.tag)) {
+                    collectRows(child.children);
+                }
+            }
+        };
+        collectRows(node.children);
+        const width = Math.max(0, ...rows.map(row => row.length));
+        if (!width) {
+            return "";
+        }
+        // The first row is the header.
+        const cells = rows.map(row => Array.from(
+            { length: width },
+            (_, i) => row[i] ? this.renderInline(row[i].children).replace(/\s*\n\s*/g, " ").trim() : ""
+        ));
+        return this.#writer.table(cells).join("\n").trim();
+    }
+
+    /**
+     * Renders nodes as inline text. Blocks inside of inline markup are
+     * rendered as their text content.
+     *
+     * @param {object[]} nodes - see parseHtml()
+     * @returns {string}
+     */
+    renderInline(nodes) {
+        return nodes.map(node => {
+            if (typeof node.text === "string") {
+                return this.#writer.format_text(node.text);
+            }
+            switch (node.tag) {
+                case "br":
+                    return " ";
+                case "code":
+                case "var":
+                case "val":
+                case "permission":
+                case "a":
+                    return this.#writer.format_markup(node.tag, getTextContent(node.children), node.attributes);
+                case "strong":
+                case "b":
+                case "em":
+                case "i": {
+                    // Markup cannot start or end with a space.
+                    const [, before, text, after] = this.renderInline(node.children).match(/^(\s*)([\s\S]*?)(\s*)$/);
+                    return text ? `${before}${this.#writer.format_markup(node.tag, text)}${after}` : `${before}${after}`;
+                }
+                default:
+                    return this.renderInline(node.children);
+            }
+        }).join("");
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Rules checked while walking the schema files. The severity of a rule decides
+ * whether a lint run fails (error) or only reports the issue (warning).
+ */
+export const RULES = {
+    "unknown-namespace": {
+        severity: "error",
+        description: "A reference could not be resolved to any of the namespaces defined in the same schema file.",
+    },
+    "missing-type-definition": {
+        severity: "error",
+        description: "A referenced type is not defined.",
+    },
+    "missing-manifest-prefix": {
+        severity: "warning",
+        description: "A type of the manifest namespace is referenced without the manifest prefix.",
+    },
+    "missing-extension-types-prefix": {
+        severity: "warning",
+        description: "A type of the extensionTypes namespace is referenced without the extensionTypes prefix.",
+    },
+    "missing-permission-description": {
+        severity: "warning",
+        description: "A used permission has no description, neither in permissions.ftl nor in the strings of the product data.",
+    },
+    "unmergeable-schema-entry": {
+        severity: "warning",
+        description: "An entry of a schema could not be merged into another schema of the same namespace.",
+    },
+    "invalid-annotation": {
+        severity: "error",
+        description: "An image, table, see_also or examples annotation is not valid.",
+    },
+    "missing-image": {
+        severity: "error",
+        description: "The image of an image annotation does not exist in the schema folder.",
+    },
+    "unsupported-html": {
+        severity: "warning",
+        description: "A description uses an HTML element, which is not supported (only its content is used).",
+    },
+    "unknown-html-entity": {
+        severity: "warning",
+        description: "A description uses a named HTML entity, which is not known (it is kept as written).",
+    },
+    "code-syntax-error": {
+        severity: "error",
+        description: "A JavaScript or JSON code annotation or a code block of the template has a syntax error (only checked with --check_code).",
+    },
+    "unresolved-reference": {
+        severity: "error",
+        description: "A reference of the generated files points to a label, which is not defined in any generated file.",
+    },
+    "duplicate-label": {
+        severity: "error",
+        description: "A label is defined more than once in the generated files (the case of labels is ignored).",
+    },
+    "duplicate-anchor": {
+        severity: "warning",
+        description: "Two labels of the same generated file result in the same HTML anchor.",
+    },
+};
+
+export const LINT_FORMATS = ["text", "json", "sarif"];
+
+const SARIF_LEVELS = {
+    error: "error",
+    warning: "warning",
+};
+
+/**
+ * Collects the issues found in the schema files.
+ */
+export class Diagnostics {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Adds an issue. Identical issues are only added once, as schema entries
+     * are usually visited more than once.
+     *
+     * @param {object} diagnostic
+     * @param {string} diagnostic.rule - The id of the violated rule
+     * @param {string} diagnostic.message - Description of the issue
+     * @param {string} [diagnostic.namespace] - The affected namespace
+     * @param {string} [diagnostic.path] - The affected member (for example
+     *   messages.query.queryInfo)
+     * @param {string[]} [diagnostic.files] - The schema files defining the
+     *   affected namespace
+     */
+    report({ rule, message, namespace = null, path = null, files = [] }) {
+        if (!RULES[rule]) {
+            throw new Error(`Unknown lint rule: ${rule}`);
+        }
+        const isKnown = this.entries.some(e =>
+            e.rule == rule && e.message == message && e.namespace == namespace && e.path == path
+        );
+        if (isKnown) {
+            return;
+        }
+        this.entries.push({
+            rule,
+            severity: RULES[rule].severity,
+            namespace,
+            path,
+            files,
+            message,
+        });
+    }
+
+    get errorCount() {
+        return this.entries.filter(e => e.severity == "error").length;
+    }
+
+    get warningCount() {
+        return this.entries.filter(e => e.severity == "warning").length;
+    }
+
+    sorted() {
+        return [...this.entries].sort((a, b) =>
+            (a.namespace ?? "").localeCompare(b.namespace ?? "") ||
+            (a.path ?? "").localeCompare(b.path ?? "") ||
+            a.rule.localeCompare(b.rule)
+        );
+    }
+
+    toText() {
+        const lines = this.sorted().map(e => {
+            const location = e.files.length ? `${e.files.join(", ")}: ` : "";
+            const path = e.path ? ` ${e.path}:` : "";
+            return `${location}${e.severity} [${e.rule}]${path} ${e.message}`;
+        });
+        lines.push(`${this.errorCount} error(s), ${this.warningCount} warning(s)`);
+        return lines.join("\n");
+    }
+
+    toJSON() {
+        return {
+            errorCount: this.errorCount,
+            warningCount: this.warningCount,
+            diagnostics: this.sorted(),
+        };
+    }
+
+    /**
+     * Returns the issues as a SARIF 2.1.0 log, which can be uploaded to code
+     * scanning services.
+     *
+     * @param {string} [baseFolder] - Folder of the schema files, used to make
+     *   the file locations relative to the repository of the schema files
+     * @returns {object}
+     */
+    toSarif(baseFolder = "") {
+        const ruleIds = Object.keys(RULES);
+        const uri = file => (baseFolder ? `${baseFolder.replace(/[\\/]+$/, "")}/${file}` : file)
+            .replace(/\\/g, "/");
+
+        return {
+            version: "2.1.0",
+            $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+            runs: [{
+                tool: {
+                    driver: {
+                        name: "webext-docs-generator",
+                        informationUri: "https://github.com/jobisoft/webext-docs-generator",
+                        rules: ruleIds.map(id => ({
+                            id,
+                            shortDescription: { text: RULES[id].description },
+                            defaultConfiguration: { level: SARIF_LEVELS[RULES[id].severity] },
+                        })),
+                    },
+                },
+                results: this.sorted().map(e => ({
+                    ruleId: e.rule,
+                    ruleIndex: ruleIds.indexOf(e.rule),
+                    level: SARIF_LEVELS[e.severity],
+                    message: { text: e.path ? `${e.path}: ${e.message}` : e.message },
+                    locations: (e.files.length ? e.files : [null]).map(file => ({
+                        ...(file ? { physicalLocation: { artifactLocation: { uri: uri(file) } } } : {}),
+                        logicalLocations: [{
+                            fullyQualifiedName: e.path ?? e.namespace ?? "",
+                            kind: "member",
+                        }],
+                    })),
+                })),
+            }],
+        };
+    }
+
+    /**
+     * Returns the issues in the requested format.
+     *
+     * @param {string} format - One of LINT_FORMATS
+     * @param {string} [baseFolder] - Folder of the schema files (SARIF only)
+     * @returns {string}
+     */
+    format(format, baseFolder) {
+        switch (format) {
+            case "json":
+                return JSON.stringify(this.toJSON(), null, 2);
+            case "sarif":
+                return JSON.stringify(this.toSarif(baseFolder), null, 2);
+            default:
+                return this.toText();
+        }
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * Builds a JSON Schema (draft 2020-12) of the manifest.json file, which is
+ * written by the --manifest-schema option and can be used by editors to
+ * provide autocomplete and validation, for example in VS Code:
+ *
+ *   "json.schemas": [{
+ *     "fileMatch": ["manifest.json"],
+ *     "url": "./manifest.schema.json"
+ *   }]
+ *
+ * The schema is built from the merged manifest.WebExtensionManifest type. Keys
+ * and types which are not supported by the generated manifest version are
+ * left out, all used types are included in $defs, keyed by their fully
+ * qualified id. Descriptions are converted to plain text and link to the
+ * generated documentation. VS Code specific keywords (markdownDescription,
+ * enumDescriptions and deprecationMessage) are added as well.
+ */
+
+import * as tools from "./tools.mjs";
+
+export const JSON_SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+// Simple schema types, which have the same name in JSON Schema.
+const SIMPLE_TYPES = ["string", "integer", "number", "boolean", "object", "array", "null"];
+
+const isSupported = (obj, manifestVersion) => {
+    const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+    return version_added !== false &&
+        !(obj?.min_manifest_version > manifestVersion) &&
+        !(obj?.max_manifest_version < manifestVersion);
+};
+
+// Converts the markup used in the schema descriptions to plain text.
+function toPlainText(str) {
+    return String(str)
+        // Enum descriptions are listed with the enum values.
+        .replace(/<dl>[\s\S]*?<\/dl>/i, "")
+        .replace(/\|([^|]+)\|/g, "$1")
+        .replace(/\$\((?:ref|doc):(.*?)\)/g, (match, ref) => ref.replace(/\(\)$/, ""))
+        .replace(/\$\(topic:[^)]+\)\[(.*?)\]/g, "$1")
+        .replace(/<a href=["'](.*?)["']>(.*?)<\/a>/g, "$2 ($1)")
+        .replace(/<li>/g, "\n* ")
+        .replace(/<br>/g, " ")
+        .replace(/<\/?(p|ul|ol|li|code|var|val|em|strong|b|i|permission)>/g, "")
+        .replace(/&mdash;/g, "—")
+        .trim();
+}
+
+// Patterns of the schema files are JavaScript regular expressions, which are
+// also used by JSON Schema, but some use the (?i) flag, which is not supported.
+function convertPattern(pattern) {
+    if (pattern.startsWith("(?i)")) {
+        return null;
+    }
+    try {
+        new RegExp(pattern, "u");
+        return pattern;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Returns the JSON Schema of the manifest.json file.
+ *
+ * @param {object} options
+ * @param {Function} options.getWriter - Returns the writer of a namespace or of
+ *   a global type prefix (like "manifest"), used to resolve references
+ * @param {number|string} options.manifestVersion - The generated manifest version
+ * @param {string} options.title - Title of the schema
+ * @param {string} options.description - Description of the schema
+ * @param {string} [options.link] - Link of the generated documentation, used to
+ *   link each key and type to its documentation (omitted if not given)
+ * @returns {object} The JSON Schema
+ */
+export function buildManifestJsonSchema({ getWriter, manifestVersion, title, description, link = null }) {
+    manifestVersion = Number(manifestVersion);
+    const manifestWriter = getWriter("manifest");
+    const supported = obj => isSupported(obj, manifestVersion);
+
+    // Types are documented on the page of their API, global types on the
+    // manifest.json page (see Writer.generateManifestDoc()).
+    const getNamespace = id => manifestWriter.NAMESPACE_NAMES
+        .filter(e => id.startsWith(`${e}.`))
+        .reduce((a, b) => (b.length > a.length ? b : a), "");
+    const getUrl = (page, label) => link
+        ? `${link}${page}.html#${tools.guessRefId(tools.escapeUppercase(label))}`
+        : null;
+    const getTypeUrl = (id) => {
+        const namespaceName = getNamespace(id);
+        return namespaceName
+            ? getUrl(namespaceName, id)
+            : getUrl("manifest", ["manifest", ...id.split(".").slice(1)].join("."));
+    };
+
+    const describe = (obj, url = null) => {
+        const texts = [];
+        if (obj.description) {
+            texts.push(toPlainText(obj.description));
+        }
+        for (const annotation of obj.annotations ?? []) {
+            for (const key of ["text", "note", "hint", "warning"]) {
+                if (annotation[key]) {
+                    texts.push(toPlainText(annotation[key]));
+                }
+            }
+            if (annotation.list) {
+                texts.push(annotation.list.map(e => `* ${toPlainText(e)}`).join("\n"));
+            }
+            if (typeof annotation.version_added === "string") {
+                texts.push(`Added in Thunderbird ${annotation.version_added}.`);
+            }
+        }
+        const text = texts.filter(Boolean).join("\n\n");
+        const rv = {};
+        if (text || url) {
+            rv.description = [text, url].filter(Boolean).join("\n\n");
+        }
+        if (url) {
+            rv.markdownDescription = [text, `[Documentation](${url})`].filter(Boolean).join("\n\n");
+        }
+        if (obj.deprecated || obj.unsupported) {
+            rv.deprecated = true;
+            rv.deprecationMessage = typeof obj.deprecated === "string"
+                ? toPlainText(obj.deprecated)
+                : obj.unsupported ? "Not supported." : "Deprecated.";
+        }
+        return rv;
+    };
+
+    // The converted types, keyed by their fully qualified id. Each type is
+    // converted only once, null marks types which are being converted.
+    const definitions = new Map();
+    const addDefinition = (ref, writer) => {
+        const found = writer.find_type_definition(writer.resolve_ref(ref), false);
+        if (!found || !supported(found.definition)) {
+            return null;
+        }
+        if (!definitions.has(found.id)) {
+            definitions.set(found.id, null);
+            const namespaceName = getNamespace(found.id) || found.id.split(".")[0];
+            definitions.set(found.id, convert(found.definition, getWriter(namespaceName), {
+                url: getTypeUrl(found.id),
+            }));
+        }
+        return found.id;
+    };
+
+    // Converts a schema entry. Only entries with a label in the documentation
+    // get a url, their properties are linked as well.
+    const convert = (value, writer, { url = null, label = null } = {}) => {
+        const rv = {};
+        if ("$ref" in value) {
+            const id = addDefinition(value.$ref, writer);
+            if (id) {
+                rv.$ref = `#/$defs/${id}`;
+            }
+        } else if (Array.isArray(value.choices)) {
+            rv.anyOf = value.choices.filter(supported).map(e => convert(e, writer));
+        } else if (SIMPLE_TYPES.includes(value.type)) {
+            rv.type = value.type;
+        }
+
+        switch (value.type) {
+            case "string":
+                if (Array.isArray(value.enum)) {
+                    const names = value.enum
+                        .map(e => typeof e === "object" ? e.name : e)
+                        .filter(e => supported(value.enums?.[e]));
+                    rv.enum = names;
+                    const enumDescriptions = names.map(e => value.enums?.[e] ? describe(value.enums[e]).description ?? "" : "");
+                    if (enumDescriptions.some(Boolean)) {
+                        rv.enumDescriptions = enumDescriptions;
+                    }
+                }
+                if (value.pattern && convertPattern(value.pattern)) {
+                    rv.pattern = value.pattern;
+                }
+                for (const key of ["minLength", "maxLength"]) {
+                    if (key in value) rv[key] = value[key];
+                }
+                break;
+            case "integer":
+            case "number":
+                for (const key of ["minimum", "maximum"]) {
+                    if (key in value) rv[key] = value[key];
+                }
+                break;
+            case "array":
+                if (value.items) {
+                    rv.items = convert(value.items, writer);
+                }
+                for (const key of ["minItems", "maxItems"]) {
+                    if (key in value) rv[key] = value[key];
+                }
+                break;
+            case "object": {
+                const properties = Object.entries(value.properties ?? {}).filter(([, e]) => supported(e));
+                if (properties.length) {
+                    rv.properties = Object.fromEntries(properties.map(([name, property]) => {
+                        const propertyLabel = label ? `${label}.${name}` : null;
+                        return [name, convert(property, writer, {
+                            url: propertyLabel ? getUrl("manifest", propertyLabel) : null,
+                            label: propertyLabel,
+                        })];
+                    }));
+                    const required = properties.filter(([, e]) => !e.optional).map(([name]) => name);
+                    if (required.length) {
+                        rv.required = required;
+                    }
+                }
+                const patternProperties = Object.entries(value.patternProperties ?? {})
+                    .filter(([pattern, e]) => supported(e) && convertPattern(pattern));
+                if (patternProperties.length) {
+                    rv.patternProperties = Object.fromEntries(patternProperties.map(
+                        ([pattern, property]) => [pattern, convert(property, writer)]
+                    ));
+                }
+                if (value.additionalProperties) {
+                    if (value.additionalProperties.type != "any") {
+                        rv.additionalProperties = convert(value.additionalProperties, writer);
+                    }
+                } else if (properties.length || patternProperties.length) {
+                    rv.additionalProperties = false;
+                }
+                break;
+            }
+        }
+
+        if ("default" in value) {
+            rv.default = value.default;
+        }
+        return { ...rv, ...describe(value, url) };
+    };
+
+    // The keys added by an API use references relative to that API.
+    const owners = new Map();
+    for (const namespaceName of [...manifestWriter.NAMESPACE_NAMES].sort()) {
+        const manifestTypes = manifestWriter.SCHEMAS.get(namespaceName).find(e => e.namespace == "manifest")?.types ?? [];
+        for (const type of manifestTypes.filter(e => e.$extend === "WebExtensionManifest")) {
+            for (const name of Object.keys(type.properties ?? {})) {
+                if (!owners.has(name)) {
+                    owners.set(name, namespaceName);
+                }
+            }
+        }
+    }
+
+    const manifestType = manifestWriter.TYPES.get("manifest.WebExtensionManifest") ?? {};
+    const keys = Object.entries(manifestType.properties ?? {})
+        .filter(([, e]) => supported(e))
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const schema = {
+        $schema: JSON_SCHEMA_DIALECT,
+        title,
+        description,
+        type: "object",
+        properties: {
+            // Editors use the $schema key to find the schema of a file.
+            $schema: { type: "string" },
+        },
+        required: keys.filter(([, e]) => !e.optional).map(([name]) => name),
+        additionalProperties: false,
+    };
+    for (const [name, value] of keys) {
+        const writer = owners.has(name) ? getWriter(owners.get(name)) : manifestWriter;
+        schema.properties[name] = convert(value, writer, {
+            url: getUrl("manifest", `manifest.${name}`),
+            label: `manifest.${name}`,
+        });
+    }
+    schema.$defs = Object.fromEntries(
+        [...definitions].sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    return schema;
+}
@@ -0,0 +1,254 @@
+import { Writer } from "./writer.mjs";
+import * as tools from "./tools.mjs"
+
+const SBT = "`";
+
+/**
+ * Writer emitting Markdown instead of reStructuredText. Only the formatting
+ * primitives are overridden, the schema walk is inherited from Writer, so both
+ * backends document the exact same content.
+ *
+ * Anchors use the same refids Sphinx generates for the RST documentation.
+ */
+export class MarkdownWriter extends Writer {
+    get extension() {
+        return "md";
+    }
+
+    anchor(refId) {
+        return `<a id="${tools.guessRefId(tools.escapeUppercase(refId))}"></a>`;
+    }
+
+    escape_text(str) {
+        // Plain text of descriptions may contain tags, which are not HTML
+        // (for example <all_urls>).
+        return str
+            .replace(/[\\*_`[\]]/g, "\\$&")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;");
+    }
+
+    // Code spans do not support any escapes.
+    escape_literal(str) {
+        return str;
+    }
+
+    api_member({ name = null, type = null, annotation = null, description = [], refId = null, refName = null, depth = 0 } = {}) {
+        const head = [
+            refId ? this.anchor(refId) : "",
+            name ?? "",
+            type ?? "",
+            annotation ?? "",
+        ].filter(Boolean).join(" ");
+
+        const lines = ["", `- ${head}`];
+        if (description && description.length > 0) {
+            lines.push("");
+            for (const line of description) {
+                lines.push(this.member_indent() + line);
+            }
+        }
+        lines.push("");
+
+        return lines;
+    }
+
+    api_header(label, content = [], annotation = null) {
+        const lines = [
+            "",
+            annotation
+                ? `${this.format_strong(label)} ${annotation}`
+                : this.format_strong(label),
+            "",
+        ];
+
+        if (content.length > 0) {
+            lines.push(...content, "");
+        }
+
+        return lines;
+    }
+
+    header_1(string) {
+        return ["", `# ${string}`, ""];
+    }
+
+    header_2(title) {
+        return ["", `<a id="${tools.guessRefId(title)}"></a>`, "", `## ${title}`, ""];
+    }
+
+    header_3(text, { label = null, info = "" } = {}) {
+        const lines = [
+            ...this.reference(label),
+            `### ${text}`,
+            "",
+        ];
+        if (info) {
+            lines.push(info, "");
+        }
+        return lines;
+    }
+
+    reference(refId) {
+        if (refId === null || refId === undefined) {
+            return [];
+        }
+
+        return ["", this.anchor(refId), ""];
+    }
+
+    format_added_in(version) {
+        return this.format_emphasis(`Added in TB ${version}`);
+    }
+
+    format_literal(str) {
+        return `${SBT}${str}${SBT}`;
+    }
+
+    format_value(str) {
+        return `${SBT}${str}${SBT}`;
+    }
+
+    format_permission(str) {
+        return `${SBT}${str}${SBT}`;
+    }
+
+    format_code(str) {
+        return `${SBT}${str}${SBT}`;
+    }
+
+    format_external_link(text, url) {
+        return `[${text}](${url})`;
+    }
+
+    // Only the API pages are generated, other pages (like the guides of the
+    // template) link to the published documentation.
+    format_doc_link(doc) {
+        const path = doc.replace(/^\//, "");
+        const target = this.NAMESPACE_NAMES.includes(path) || !this.DOCUMENTATION_LINK
+            ? `${path}.${this.extension}`
+            : `${this.DOCUMENTATION_LINK}${path}.html`;
+        return `[${path.split("/").at(-1)}](${target})`;
+    }
+
+    format_ref(ref) {
+        // The page is the longest namespace name matching the ref.
+        const page = this.NAMESPACE_NAMES
+            .filter(e => ref.startsWith(`${e}.`))
+            .reduce((a, b) => (b.length > a.length ? b : a), "");
+        const text = page ? ref.slice(page.length + 1) : ref;
+        const anchor = tools.guessRefId(tools.escapeUppercase(ref));
+        const target = page && page != this.namespaceName
+            ? `${page}.${this.extension}#${anchor}`
+            : `#${anchor}`;
+        return `[${text}](${target})`;
+    }
+
+    admonition(kind, text, { classname = null } = {}) {
+        const title = kind.charAt(0).toUpperCase() + kind.slice(1);
+        return [
+            "",
+            `> ${this.format_strong(title)}`,
+            ">",
+            ...text.split("\n").map(line => line ? `> ${line}` : ">"),
+            "",
+        ];
+    }
+
+    code_block(language, code) {
+        return [
+            "",
+            "```" + (language ?? "").toLowerCase(),
+            ...code,
+            "```",
+            "",
+        ];
+    }
+
+    bullet_list(items) {
+        return items.flatMap(e => {
+            const [first, ...lines] = e.split("\n");
+            return [`- ${first}`, ...tools.indentLines(lines, 2)];
+        });
+    }
+
+    image(src, alt = null) {
+        return ["", `![${alt ?? ""}](${src})`, ""];
+    }
+
+    table(rows) {
+        const format_row = row => `| ${row.map(e => e.replace(/\|/g, "\\|")).join(" | ")} |`;
+        return [
+            "",
+            format_row(rows[0]),
+            `|${rows[0].map(() => " --- |").join("")}`,
+            ...rows.slice(1).map(format_row),
+            "",
+        ];
+    }
+
+    see_also(items) {
+        return [
+            "",
+            `> ${this.format_strong("See also")}`,
+            ">",
+            ...items.map(e => `> - ${e}`),
+            "",
+        ];
+    }
+
+    description_only_container() {
+        return { indent: "", lines: [] };
+    }
+
+    return_type_header(content) {
+        return this.api_header(
+            `Return type (${this.format_external_link("Promise", "https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise")})`,
+            content
+        );
+    }
+
+    sidebar_entry(title) {
+        return `- [${title}](#${tools.guessRefId(title)})`;
+    }
+
+    page_header(title) {
+        return [
+            `# ${title}`,
+            "",
+            ...this.sectionNames.map(name => this.sidebar.get(name)),
+            "",
+        ];
+    }
+}
+
+/**
+ * Writer emitting MDX. Text outside of code spans must not contain curly
+ * braces or bare angle brackets, as those are interpreted as JSX.
+ */
+export class MdxWriter extends MarkdownWriter {
+    get extension() {
+        return "mdx";
+    }
+
+    escape_text(str) {
+        return super.escape_text(str).replace(/[{}]/g, "\\$&");
+    }
+}
+
+/**
+ * Returns the lines of an index page, linking to all API pages.
+ *
+ * @param {string} title - Title of the index page
+ * @param {string[]} apiNames - Names of all documented namespaces
+ * @param {string} extension - File extension of the generated API pages
+ * @returns {string[]} Lines of the index page
+ */
+export function generateIndex(title, apiNames, extension) {
+    return [
+        `# ${title}`,
+        "",
+        ...apiNames.map(name => `- [${name}](${name}.${extension})`),
+        "",
+    ];
+}
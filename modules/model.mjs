@@ -0,0 +1,223 @@
+/**
+ * Builds the normalized documentation model, which is written by the
+ * --emit-model option. The model contains the same data the documentation is
+ * generated from, after all merges and fixes have been applied:
+ *
+ * - parent and child schemas are merged, sub namespaces are separated
+ * - $extend definitions are merged into the global manifest types
+ * - every $ref, every $(ref:...) in a description (including annotations like
+ *   list and table) and every see_also reference is fully qualified
+ * - async functions using a callback list their return value in "returns"
+ *   and no longer include the callback parameter
+ * - members which are not supported (version_added: false) are removed
+ *
+ * The index file (index.json) has the following shape:
+ *
+ *   {
+ *     modelVersion: 1,
+ *     thunderbirdVersion: "128.0esr",
+ *     channel: "esr",
+ *     manifestVersion: 3,
+ *     namespaces: [{ name: "messages", file: "messages.json" }, ...],
+ *     globalTypes: { "manifest.WebExtensionManifest": {...}, ... },
+ *   }
+ *
+ * Each namespace file (<namespace>.json) has the following shape:
+ *
+ *   {
+ *     modelVersion: 1,
+ *     namespace: "messages",
+ *     description: "...",
+ *     annotations: [...],
+ *     permissions: {
+ *       required: ["messagesRead"],          // also from parent namespaces
+ *       manifestEntries: ["browser_action"], // required manifest entries
+ *       used: [{ name: "messagesRead", description: "..." }],
+ *     },
+ *     manifest: { <manifest key>: {...} },   // keys added by this API
+ *     functions: [{ name, parameters, returns, async, ... }],
+ *     events: [{ name, parameters, extraParameters, returns, ... }],
+ *     properties: { <name>: {...} },
+ *     types: { "messages.MessageHeader": {...}, ... }, // all used types
+ *   }
+ *
+ * All other keys of schema entries (description, annotations, optional,
+ * enum, deprecated, ...) are passed through unchanged.
+ */
+
+import { REFERENCE_REGEX } from "./writer.mjs";
+
+export const MODEL_VERSION = 1;
+
+// Keys added to schema entries while generating the documentation.
+const INTERNAL_KEYS = ["enumChanges"];
+
+// Keys holding text which may include references.
+const TEXT_KEYS = ["description", "deprecated", "text", "note", "hint", "warning", "list", "table"];
+
+// Keys holding lists of references.
+const REFERENCE_LIST_KEYS = ["see_also"];
+
+const isSupported = obj => {
+    const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+    return version_added !== false;
+};
+
+// References to external types are kept, like in Writer.format_link().
+function normalizeRef(writer, ref) {
+    ref = ref.replace(/\(\)$/, "");
+    return writer.PRODUCT.external_types[ref] ? ref : writer.resolve_ref(ref);
+}
+
+function normalizeText(writer, value) {
+    if (Array.isArray(value)) {
+        return value.map(e => normalizeText(writer, e));
+    }
+    if (typeof value !== "string") {
+        return value;
+    }
+    // The deprecated |..| notation is converted like by the writers, see
+    // Writer.format_text().
+    return value.replace(REFERENCE_REGEX, (match, ref, doc, topicText, pipeRef) => {
+        if (ref !== undefined) {
+            return `$(ref:${normalizeRef(writer, ref)})`;
+        }
+        if (pipeRef !== undefined && writer.isPipeReference(pipeRef)) {
+            return `$(ref:${normalizeRef(writer, pipeRef)})`;
+        }
+        return match;
+    });
+}
+
+/**
+ * Returns a deep copy of a schema entry, with all references fully qualified.
+ *
+ * @param {Writer} writer - The writer of the namespace the entry belongs to
+ * @param {any} value - The schema entry
+ * @returns {any} The normalized copy
+ */
+function normalize(writer, value) {
+    if (Array.isArray(value)) {
+        return value.filter(isSupported).map(e => normalize(writer, e));
+    }
+    if (value === null || typeof value !== "object") {
+        return value;
+    }
+
+    const rv = {};
+    for (const [key, entry] of Object.entries(value)) {
+        if (INTERNAL_KEYS.includes(key)) {
+            continue;
+        }
+        if (TEXT_KEYS.includes(key)) {
+            rv[key] = normalizeText(writer, entry);
+        } else if (REFERENCE_LIST_KEYS.includes(key) && Array.isArray(entry)) {
+            rv[key] = entry.map(e => typeof e === "string" ? normalizeRef(writer, e) : e);
+        } else if (key == "$ref") {
+            rv[key] = writer.find_type_definition(writer.resolve_ref(entry), false)?.id
+                ?? writer.resolve_ref(entry);
+        } else if (key == "properties" && entry && typeof entry == "object") {
+            rv[key] = Object.fromEntries(
+                Object.entries(entry)
+                    .filter(([, property]) => isSupported(property))
+                    .map(([name, property]) => [name, normalize(writer, property)])
+            );
+        } else {
+            rv[key] = normalize(writer, entry);
+        }
+    }
+    return rv;
+}
+
+function normalizeFunction(writer, func) {
+    const rv = normalize(writer, func);
+    if (typeof func.async === "string") {
+        const callback = (func.parameters ?? []).find(p => p.name === func.async);
+        rv.async = true;
+        rv.parameters = rv.parameters.filter(p => p.name !== func.async);
+        if (!rv.returns && callback?.parameters?.length) {
+            rv.returns = normalize(writer, callback.parameters[0]);
+        }
+    }
+    return rv;
+}
+
+/**
+ * Builds the model of a single namespace. Has to be called after the writer
+ * generated the documentation, which collects the used types and permissions.
+ *
+ * @param {Writer} writer - The writer of the namespace
+ * @returns {object} The namespace model
+ */
+export function buildNamespaceModel(writer) {
+    const namespaceSchema = writer.namespaceSchema;
+    const allPermissions = [
+        ...writer.parentNamespaceSchemas.flatMap(s => s?.permissions || []),
+        ...(namespaceSchema.permissions || []),
+    ];
+
+    const manifest = {};
+    for (const type of writer.manifestSchema.types ?? []) {
+        if (type.$extend === "WebExtensionManifest") {
+            Object.assign(manifest, normalize(writer, { properties: type.properties }).properties);
+        }
+    }
+
+    const types = {};
+    for (const id of [...writer.foundTypes].sort()) {
+        const found = writer.find_type_definition(id, false);
+        if (found && !types[found.id]) {
+            types[found.id] = normalize(writer, found.definition);
+        }
+    }
+
+    return {
+        modelVersion: MODEL_VERSION,
+        namespace: writer.namespaceName,
+        description: normalizeText(writer, namespaceSchema.description ?? ""),
+        annotations: normalize(writer, namespaceSchema.annotations ?? []),
+        permissions: {
+            required: [...new Set(allPermissions.filter(p => !p.startsWith("manifest:")))].sort(),
+            manifestEntries: [...new Set(allPermissions.filter(p => p.startsWith("manifest:")).map(p => p.slice(9)))].sort(),
+            used: [...writer.foundPermissions].sort().map(name => ({
+                name,
+                description: writer.get_permission_description(name),
+            })),
+        },
+        manifest,
+        functions: (namespaceSchema.functions ?? [])
+            .filter(isSupported)
+            .map(func => normalizeFunction(writer, func)),
+        events: normalize(writer, namespaceSchema.events ?? []),
+        properties: normalize(writer, { properties: namespaceSchema.properties ?? {} }).properties,
+        types,
+    };
+}
+
+/**
+ * Builds the index of the model.
+ *
+ * @param {object} options
+ * @param {object} options.config - The generator config
+ * @param {string} options.thunderbird_version - The detected version
+ * @param {string[]} options.namespaceNames - Names of all namespaces
+ * @param {Map<string, object>} options.globalTypes - The global types
+ * @param {Map<string, Writer>} options.globalTypeWriters - Writers for each
+ *   global type prefix, used to resolve the references of global types
+ * @returns {object} The model index
+ */
+export function buildModelIndex({ config, thunderbird_version, namespaceNames, globalTypes, globalTypeWriters }) {
+    return {
+        modelVersion: MODEL_VERSION,
+        thunderbirdVersion: thunderbird_version,
+        channel: config.thunderbird_channel,
+        manifestVersion: Number(config.manifest_version),
+        namespaces: [...namespaceNames].sort().map(name => ({ name, file: `${name}.json` })),
+        globalTypes: Object.fromEntries(
+            [...globalTypes.keys()].sort().map(id => [
+                id,
+                normalize(globalTypeWriters.get(id.split(".")[0]), globalTypes.get(id))
+            ])
+        ),
+    };
+}
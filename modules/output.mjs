@@ -0,0 +1,256 @@
+import { CliError } from "./cli.mjs";
+import { createUnifiedDiff } from "./unified-diff.mjs";
+import * as tools from "./tools.mjs";
+
+import { promises as fs } from "fs";
+import path from "path";
+
+// Lists the files generated into the output folder by the last run. Only
+// those files are deleted, if they are not generated again.
+export const GENERATED_FILES_MANIFEST = ".generated-files.json";
+
+const readFileOrNull = async (filePath) => {
+    try {
+        return await fs.readFile(filePath);
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+};
+
+const isText = buffer => !buffer.includes(0);
+
+/**
+ * Writes the generated files and keeps track of them. In dry-run mode, nothing
+ * is written or deleted, but all changes are recorded, including a unified diff
+ * of each changed file.
+ */
+export class OutputFolder {
+    #previousFiles = new Set();
+    #files = new Set();
+
+    /**
+     * @param {string} folderPath - The output folder
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun] - Only record the changes
+     */
+    constructor(folderPath, { dryRun = false } = {}) {
+        this.folderPath = folderPath;
+        this.dryRun = dryRun;
+        // Recorded changes, each with action ("create", "change" or "delete"),
+        // filePath and, for changed text files in dry-run mode, the diff.
+        this.changes = [];
+    }
+
+    get manifestPath() {
+        return path.join(this.folderPath, GENERATED_FILES_MANIFEST);
+    }
+
+    // Returns the path relative to the output folder, or null for files
+    // outside of the output folder, which are not tracked.
+    #getRelativePath(filePath) {
+        const relativePath = path.relative(this.folderPath, filePath);
+        return !relativePath || relativePath == ".." || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)
+            ? null
+            : relativePath.split(path.sep).join("/");
+    }
+
+    /**
+     * Reads the list of files generated by the last run. Entries pointing
+     * outside of the output folder are ignored, so they are never deleted.
+     *
+     * @throws {CliError} if the list cannot be parsed
+     */
+    async load() {
+        const manifest = await readFileOrNull(this.manifestPath);
+        if (!manifest) {
+            return;
+        }
+        let files;
+        try {
+            ({ files } = JSON.parse(manifest.toString("utf8")));
+        } catch (err) {
+            throw new CliError(`Cannot read the list of generated files ${this.manifestPath}: ${err.message}`);
+        }
+        this.#previousFiles = new Set(
+            (Array.isArray(files) ? files : [])
+                .filter(e => typeof e === "string")
+                .map(e => this.#getRelativePath(path.join(this.folderPath, e)))
+                .filter(Boolean)
+        );
+    }
+
+    /**
+     * Writes a file, unless it already exists with the same content.
+     *
+     * @param {string} filePath - File path
+     * @param {string|Buffer} content - Content of the file
+     * @returns {Promise<string|null>} The action ("create" or "change"), or
+     *   null if the file did not change
+     */
+    async write(filePath, content) {
+        const relativePath = this.#getRelativePath(filePath);
+        if (relativePath) {
+            this.#files.add(relativePath);
+        }
+
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+        const existing = await readFileOrNull(filePath);
+        if (existing && existing.equals(buffer)) {
+            return null;
+        }
+
+        const change = { action: existing ? "change" : "create", filePath };
+        if (this.dryRun) {
+            if (existing && isText(existing) && isText(buffer)) {
+                change.diff = createUnifiedDiff(
+                    existing.toString("utf8"),
+                    buffer.toString("utf8"),
+                    `a/${relativePath ?? filePath}`,
+                    `b/${relativePath ?? filePath}`
+                );
+            }
+        } else {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+        }
+        this.changes.push(change);
+        return change.action;
+    }
+
+    /**
+     * Deletes a file, which is no longer generated. Files outside of the
+     * output folder are never deleted.
+     *
+     * @param {string} filePath - File path
+     */
+    async remove(filePath) {
+        const relativePath = this.#getRelativePath(filePath);
+        if (!relativePath) {
+            return;
+        }
+        this.#files.delete(relativePath);
+        this.#previousFiles.delete(relativePath);
+        if (!(await readFileOrNull(filePath))) {
+            return;
+        }
+        this.changes.push({ action: "delete", filePath });
+        if (!this.dryRun) {
+            await fs.rm(filePath, { force: true });
+            await this.#removeEmptyFolders(path.dirname(filePath));
+        }
+    }
+
+    async #removeEmptyFolders(folderPath) {
+        while (this.#getRelativePath(folderPath)) {
+            const entries = await fs.readdir(folderPath).catch(() => null);
+            if (!entries || entries.length) {
+                return;
+            }
+            await fs.rmdir(folderPath);
+            folderPath = path.dirname(folderPath);
+        }
+    }
+
+    /**
+     * Deletes all files generated by the last run, which have not been
+     * generated again, and stores the list of the generated files. Files in
+     * the output folder which have not been generated by this tool are never
+     * deleted.
+     */
+    async finish() {
+        for (const relativePath of [...this.#previousFiles].sort()) {
+            if (!this.#files.has(relativePath)) {
+                await this.remove(path.join(this.folderPath, relativePath));
+            }
+        }
+        this.#previousFiles = new Set(this.#files);
+
+        if (!this.dryRun) {
+            await tools.writeFileIfChanged(
+                this.manifestPath,
+                JSON.stringify({ files: [...this.#files].sort() }, null, 2)
+            );
+        }
+    }
+
+    /**
+     * Returns a report of the recorded changes, including the diffs.
+     *
+     * @returns {string}
+     */
+    formatChanges() {
+        const lines = [];
+        for (const { action, filePath, diff } of this.changes) {
+            lines.push(`${action.padEnd(6)} ${filePath}`);
+            if (diff) {
+                lines.push(diff, "");
+            }
+        }
+        const count = action => this.changes.filter(e => e.action == action).length;
+        lines.push(`${count("create")} file(s) to create, ${count("change")} to change, ${count("delete")} to delete.`);
+        return lines.join("\n");
+    }
+}
+
+/**
+ * Keeps the generated files in memory instead of writing them, used by
+ * generateDocs(). The files are keyed by their path relative to the output
+ * folder, files outside of the output folder by their given path.
+ */
+export class MemoryOutput extends OutputFolder {
+    #written = new Set();
+
+    /**
+     * @param {string} [folderPath] - The output folder used by the generator
+     */
+    constructor(folderPath = ".") {
+        super(folderPath);
+        // The generated files, as Buffers.
+        this.files = new Map();
+    }
+
+    #getKey(filePath) {
+        const relativePath = path.relative(this.folderPath, filePath);
+        return relativePath.startsWith("..") || path.isAbsolute(relativePath)
+            ? filePath
+            : relativePath.split(path.sep).join("/");
+    }
+
+    async load() {
+        this.#written.clear();
+    }
+
+    async write(filePath, content) {
+        const key = this.#getKey(filePath);
+        this.#written.add(key);
+
+        const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+        const existing = this.files.get(key);
+        if (existing && existing.equals(buffer)) {
+            return null;
+        }
+        const action = existing ? "change" : "create";
+        this.files.set(key, buffer);
+        this.changes.push({ action, filePath });
+        return action;
+    }
+
+    async remove(filePath) {
+        const key = this.#getKey(filePath);
+        this.#written.delete(key);
+        if (this.files.delete(key)) {
+            this.changes.push({ action: "delete", filePath });
+        }
+    }
+
+    // Removes the files of the last run, which have not been generated again.
+    async finish() {
+        for (const key of [...this.files.keys()].sort()) {
+            if (!this.#written.has(key)) {
+                this.files.delete(key);
+                this.changes.push({ action: "delete", filePath: key });
+            }
+        }
+    }
+}
@@ -0,0 +1,147 @@
+import { AdvancedArray } from "./classes.mjs";
+import * as tools from "./tools.mjs";
+
+const SBT = "`";
+
+// Name of the generated page. The permissions API already uses permissions.rst.
+export const PERMISSIONS_INDEX_NAME = "permissions-index";
+
+const KIND_LABELS = {
+    namespace: "API",
+    function: "Function",
+    event: "Event",
+};
+
+const isSupported = obj => {
+    const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+    return version_added !== false;
+};
+
+/**
+ * Collects the permissions and the manifest entries required by the APIs of
+ * the given schemas. Permissions required by a namespace are also required by
+ * its sub namespaces.
+ *
+ * @param {object} schemas - The schemas, as returned by loadSchemas()
+ * @returns {object} The permissions and the manifestEntries, each a sorted
+ *   list of entries with name and requiredBy (namespace, kind and path of
+ *   each requiring namespace, function or event)
+ */
+export function collectPermissions(schemas) {
+    const permissions = new Map();
+    const manifestEntries = new Map();
+    const add = (map, name, entry) => {
+        const requiredBy = map.get(name) ?? [];
+        if (!requiredBy.some(e => e.kind == entry.kind && e.path == entry.path)) {
+            requiredBy.push(entry);
+        }
+        map.set(name, requiredBy);
+    };
+
+    for (const [namespaceName, schema] of schemas.namespaces) {
+        const namespaceSchema = schema.find(e => e.namespace == namespaceName) ?? {};
+        const manifestSchema = schema.find(e => e.namespace == "manifest") ?? {};
+        const parentNamespaceSchemas = namespaceName.split(".").slice(0, -1)
+            .map((_, i, parts) => parts.slice(0, i + 1).join("."))
+            .map(name => schemas.namespaces.get(name)?.find(e => e.namespace == name));
+
+        for (const permission of [...parentNamespaceSchemas, namespaceSchema].flatMap(s => s?.permissions ?? [])) {
+            const entry = { namespace: namespaceName, kind: "namespace", path: namespaceName };
+            if (!permission.startsWith("manifest:")) {
+                add(permissions, permission, entry);
+                continue;
+            }
+            // Only manifest entries which actually exist are required, see
+            // Writer.format_manifest_permissions().
+            const manifestEntry = permission.slice(9);
+            if (manifestSchema.types?.some(m => m.properties?.[manifestEntry])) {
+                add(manifestEntries, manifestEntry, entry);
+            }
+        }
+
+        for (const kind of ["function", "event"]) {
+            for (const member of (namespaceSchema[`${kind}s`] ?? []).filter(isSupported)) {
+                for (const permission of member.permissions ?? []) {
+                    if (!permission.startsWith("manifest:")) {
+                        add(permissions, permission, { namespace: namespaceName, kind, path: `${namespaceName}.${member.name}` });
+                    }
+                }
+            }
+        }
+    }
+
+    const sort = map => [...map]
+        .map(([name, requiredBy]) => ({
+            name,
+            requiredBy: requiredBy.sort((a, b) => a.path.localeCompare(b.path)),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    return { permissions: sort(permissions), manifestEntries: sort(manifestEntries) };
+}
+
+/**
+ * Formats the result of collectPermissions() as a RST page, with a section for
+ * each permission and a section for the required manifest entries.
+ *
+ * @param {object} collected - The result of collectPermissions()
+ * @param {object} [options]
+ * @param {Function} [options.getDescription] - Returns the RST description of
+ *   a permission entry (or an empty string)
+ * @param {string} [options.title] - Title of the page
+ * @returns {AdvancedArray} lines of the page
+ */
+export function formatPermissionsRst({ permissions, manifestEntries }, { getDescription = () => "", title = "Permissions" } = {}) {
+    const doc = new AdvancedArray();
+    doc.append([
+        `.. _${PERMISSIONS_INDEX_NAME}:`,
+        "",
+        "=".repeat(title.length),
+        title,
+        "=".repeat(title.length),
+        "",
+        ".. role:: permission",
+        "",
+        ".. role:: value",
+        "",
+        ".. role:: code",
+        "",
+        "The permissions used by the WebExtension APIs, together with the APIs, functions and events which require them.",
+        "",
+    ]);
+
+    const format_entry = (entry) => entry.kind == "namespace"
+        ? `* ${KIND_LABELS[entry.kind]} :doc:${SBT}${entry.path}${SBT}`
+        : `* ${KIND_LABELS[entry.kind]} :ref:${SBT}${entry.path} <${tools.escapeUppercase(entry.path)}>${SBT}`;
+
+    if (!permissions.length) {
+        doc.addParagraph("No permissions are required.");
+    }
+    for (const permission of permissions) {
+        doc.append([
+            "",
+            `.. _${PERMISSIONS_INDEX_NAME}.${tools.escapeUppercase(permission.name)}:`,
+            "",
+            permission.name,
+            "=".repeat(permission.name.length),
+            "",
+        ]);
+        doc.addParagraph(getDescription(permission));
+        doc.addParagraph("Required by:");
+        doc.append(permission.requiredBy.map(format_entry));
+        doc.append("");
+    }
+
+    if (manifestEntries.length) {
+        const header = "Required manifest entries";
+        doc.append(["", header, "=".repeat(header.length), ""]);
+        doc.addParagraph("These APIs can only be used, if the manifest includes the listed entry.");
+        for (const manifestEntry of manifestEntries) {
+            doc.append([
+                `* :value:${SBT}${manifestEntry.name}${SBT}: ${manifestEntry.requiredBy.map(e => `:doc:${SBT}${e.path}${SBT}`).join(", ")}`,
+            ]);
+        }
+        doc.append("");
+    }
+
+    return doc;
+}
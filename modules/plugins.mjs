@@ -0,0 +1,181 @@
+/**
+ * Plugins extend the generated pages without changing the writers. A plugin is
+ * a local module (named by the --plugins option), whose default export is an
+ * object with any of these entries:
+ *
+ * - name: Name of the plugin, used in error messages (default: its path).
+ * - annotations: Renderers for additional annotation keys, keyed by the key.
+ *   Each renderer is called as render(writer, value, { annotation, obj }) by
+ *   Writer.format_description() and returns the lines to add (or null). The
+ *   renderers should use the primitives of the writer (admonition(),
+ *   code_block(), bullet_list(), replace_code(), ...), to support all output
+ *   formats.
+ * - sections: Additional sections of the API pages, each with a name, the
+ *   title of its header and sidebar entry, the name of the section it follows
+ *   (after, default: the last section) and generate(writer), which returns the
+ *   lines of the section (or null, to skip it).
+ * - processSection(writer, name, section): Called for each section of an API
+ *   page (see API_SECTIONS), returns the lines of the section to use (or null,
+ *   to remove it).
+ *
+ *   export default {
+ *     name: "team-callouts",
+ *     annotations: {
+ *       callout: (writer, value) => writer.admonition("note", writer.replace_code(value)),
+ *     },
+ *   };
+ */
+
+import { CliError } from "./cli.mjs";
+
+import path from "path";
+import { pathToFileURL } from "url";
+
+// The sections of the API pages, in the order they are added.
+export const API_SECTIONS = ["manifest", "permissions", "functions", "events", "types", "properties"];
+
+// Annotation keys handled by Writer.format_description() or used as metadata,
+// which cannot be overridden by plugins.
+const RESERVED_ANNOTATION_KEYS = [
+    "text", "code", "type", "list", "note", "hint", "warning",
+    "image", "alt", "table", "see_also", "examples",
+    "version_added", "version_deprecated", "version_unsupported", "mdn_documentation_url",
+];
+
+const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * The annotation renderers and the sections registered by the loaded plugins.
+ */
+export class Plugins {
+    #annotations = new Map();
+    #sections = [];
+    #processors = [];
+
+    /**
+     * @param {object[]} [plugins] - The plugins, see the description of this
+     *   module
+     * @throws {CliError} if a plugin is not valid
+     */
+    constructor(plugins = []) {
+        const errors = [];
+        plugins.forEach((plugin, i) => {
+            const name = plugin?.name ?? `#${i + 1}`;
+            if (!isObject(plugin)) {
+                errors.push(`The plugin ${name} must export an object`);
+                return;
+            }
+            for (const [key, render] of Object.entries(plugin.annotations ?? {})) {
+                if (typeof render !== "function") {
+                    errors.push(`The renderer of the ${key} annotation of the plugin ${name} must be a function`);
+                } else if (RESERVED_ANNOTATION_KEYS.includes(key)) {
+                    errors.push(`The plugin ${name} cannot override the built-in ${key} annotation`);
+                } else if (this.#annotations.has(key)) {
+                    errors.push(`The ${key} annotation of the plugin ${name} is already registered by the plugin ${this.#annotations.get(key).plugin}`);
+                } else {
+                    this.#annotations.set(key, { plugin: name, render });
+                }
+            }
+            for (const section of plugin.sections ?? []) {
+                const sectionNames = [...API_SECTIONS, ...this.#sections.map(e => e.name)];
+                if (!section?.name || !section.title || typeof section.generate !== "function") {
+                    errors.push(`The sections of the plugin ${name} require a name, a title and a generate function`);
+                } else if (sectionNames.includes(section.name)) {
+                    errors.push(`The section ${section.name} of the plugin ${name} is already defined`);
+                } else if (section.after && !sectionNames.includes(section.after)) {
+                    errors.push(`The section ${section.name} of the plugin ${name} follows the unknown section ${section.after}`);
+                } else {
+                    this.#sections.push({ ...section, plugin: name });
+                }
+            }
+            if (plugin.processSection !== undefined) {
+                if (typeof plugin.processSection !== "function") {
+                    errors.push(`processSection of the plugin ${name} must be a function`);
+                } else {
+                    this.#processors.push(plugin.processSection);
+                }
+            }
+        });
+        if (errors.length) {
+            throw new CliError(errors.join("\n"));
+        }
+    }
+
+    /**
+     * The additional sections, see the description of this module.
+     *
+     * @type {object[]}
+     */
+    get sections() {
+        return this.#sections;
+    }
+
+    /**
+     * Returns the renderer of an annotation key, if registered by a plugin.
+     *
+     * @param {string} key - The annotation key
+     * @returns {Function|null}
+     */
+    getAnnotationRenderer(key) {
+        return this.#annotations.get(key)?.render ?? null;
+    }
+
+    /**
+     * Returns the names of the built-in and the additional sections, in the
+     * order they are added to the API pages.
+     *
+     * @returns {string[]}
+     */
+    getSectionNames() {
+        const names = [...API_SECTIONS];
+        for (const { name, after } of this.#sections) {
+            names.splice(after ? names.indexOf(after) + 1 : names.length, 0, name);
+        }
+        return names;
+    }
+
+    /**
+     * Passes a section of an API page through the processSection() functions
+     * of all plugins.
+     *
+     * @param {Writer} writer - The writer of the page
+     * @param {string} name - Name of the section
+     * @param {AdvancedArray|null} section - Lines of the section
+     * @returns {Promise<AdvancedArray|null>} The processed section
+     */
+    async processSection(writer, name, section) {
+        for (const process of this.#processors) {
+            section = await process(writer, name, section);
+        }
+        return section;
+    }
+}
+
+// Used by writers created without plugins.
+export const NO_PLUGINS = new Plugins();
+
+/**
+ * Loads the given plugins.
+ *
+ * @param {Array<string|object>} [plugins] - Paths of the plugin modules
+ *   (relative to the current folder) or the plugins themselves
+ * @returns {Promise<Plugins>}
+ * @throws {CliError} if a plugin cannot be loaded or is not valid
+ */
+export async function loadPlugins(plugins = []) {
+    const loaded = [];
+    for (const plugin of plugins) {
+        if (typeof plugin !== "string") {
+            loaded.push(plugin);
+            continue;
+        }
+        let module;
+        try {
+            module = await import(pathToFileURL(path.resolve(plugin)).href);
+        } catch (err) {
+            throw new CliError(`Cannot load the plugin ${plugin}: ${err.message}`);
+        }
+        loaded.push(isObject(module.default) ? { name: plugin, ...module.default } : module.default);
+    }
+    return new Plugins(loaded);
+}
@@ -0,0 +1,185 @@
+import * as strings from "./strings.mjs";
+import { CliError } from "./cli.mjs";
+
+import { promises as fs } from "fs";
+
+/**
+ * The product data used by the generator. Forks and mirrors can override any
+ * of these values with a product file (see loadProduct()).
+ *
+ * - channels: The supported Thunderbird channels, with the prefix used in the
+ *   title and the slug used in the link. The channel of the schema files is
+ *   detected from their version (release, esr, beta or daily).
+ * - additional_type_files: Schema files which only define global types.
+ * - long_title, title, link: Templates for the titles and the link of the
+ *   documentation, with the placeholders {version}, {major}, {channel},
+ *   {prefix}, {slug} and {mv}.
+ * - external_types: Types which are linked to an external documentation,
+ *   instead of being documented as part of an API. The optional ts_type is
+ *   used in the TypeScript declarations if the schemas do not define the
+ *   type, otherwise any.
+ * - strings: The texts added to the documentation, see strings.mjs.
+ * - variables: Additional variables for the text files of the template, keyed
+ *   by their upper case name, e.g. { "FORUM": "https://..." } for {{FORUM}}.
+ */
+export const DEFAULT_PRODUCT = {
+    channels: {
+        "release": {
+            prefix: "",
+            slug: "",
+        },
+        "esr": {
+            prefix: "ESR ",
+            slug: "esr-",
+        },
+        "beta": {
+            prefix: "Beta ",
+            slug: "beta-",
+        },
+        "daily": {
+            prefix: "Daily ",
+            slug: "daily-",
+        },
+    },
+    additional_type_files: [
+        "experiments.json",
+        "extension_types.json",
+        "manifest.json",
+        "types.json",
+        "events.json"
+    ],
+    long_title: "WebExtension API Documentation for Thunderbird {version}",
+    title: "WebExtension API Documentation & Guides (Thunderbird {prefix}{major}, Manifest V{mv})",
+    link: "https://webextension-api.thunderbird.net/en/{slug}mv{mv}/",
+    external_types: {
+        "extensionTypes.File": {
+            name: "File",
+            url: "https://developer.mozilla.org/en-US/docs/Web/API/File",
+        },
+        "extensionTypes.Date": {
+            name: "Date",
+            url: "https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date",
+        },
+        "runtime.Port": {
+            name: "Port",
+            url: "https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/API/runtime/Port",
+        },
+    },
+    strings: {
+        mozilla_api: strings.mozilla_api,
+        permission_header: strings.permission_header,
+        permission_warning: strings.permission_warning,
+        permission_descriptions: strings.permission_descriptions,
+    },
+    variables: {},
+};
+
+const isObject = value => typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Returns a copy of base with the values of override. Objects are merged,
+// all other values are replaced, null removes an entry.
+function merge(base, override, path, errors) {
+    const rv = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const keyPath = path ? `${path}.${key}` : key;
+        if (value === null) {
+            delete rv[key];
+        } else if (isObject(rv[key])) {
+            if (isObject(value)) {
+                rv[key] = merge(rv[key], value, keyPath, errors);
+            } else {
+                errors.push(`${keyPath} must be an object`);
+            }
+        } else if (key in rv && (typeof rv[key] !== typeof value || Array.isArray(rv[key]) != Array.isArray(value))) {
+            errors.push(`${keyPath} must be of type ${Array.isArray(rv[key]) ? "array" : typeof rv[key]}`);
+        } else {
+            rv[key] = value;
+        }
+    }
+    return rv;
+}
+
+/**
+ * Returns the product data, with the values of the given product file merged
+ * into the defaults. Nested objects are merged, so a product file only has to
+ * include the changed values. Entries set to null are removed, for example a
+ * channel or an external type.
+ *
+ * @param {string} [filePath] - Path of the JSON product file
+ * @returns {Promise<object>} The product data, see DEFAULT_PRODUCT
+ * @throws {CliError} if the product file cannot be read or is not valid
+ */
+export async function loadProduct(filePath = null) {
+    if (!filePath) {
+        return DEFAULT_PRODUCT;
+    }
+
+    let json;
+    try {
+        json = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (err) {
+        throw new CliError(`Cannot read the product file ${filePath}: ${err.message}`);
+    }
+    return createProduct(json, filePath);
+}
+
+/**
+ * Returns the product data, with the given values merged into the defaults,
+ * see loadProduct().
+ *
+ * @param {object} json - The values of a product file
+ * @param {string} [filePath] - Path of the product file, used in the errors
+ * @returns {object} The product data, see DEFAULT_PRODUCT
+ * @throws {CliError} if the values are not valid
+ */
+export function createProduct(json, filePath = null) {
+    if (!isObject(json)) {
+        throw new CliError(filePath
+            ? `The product file ${filePath} must contain a JSON object`
+            : "The product data must be an object");
+    }
+
+    const errors = Object.keys(json)
+        .filter(key => !(key in DEFAULT_PRODUCT))
+        .map(key => `Unknown entry ${key}`);
+    const product = merge(DEFAULT_PRODUCT, json, "", errors);
+    for (const key of Object.keys(DEFAULT_PRODUCT)) {
+        if (product[key] === undefined) {
+            errors.push(`${key} cannot be removed`);
+        }
+    }
+    for (const [name, channel] of Object.entries(product.channels ?? {})) {
+        if (!isObject(channel) || typeof channel.prefix !== "string" || typeof channel.slug !== "string") {
+            errors.push(`channels.${name} requires a prefix and a slug`);
+        }
+    }
+    for (const [name, value] of Object.entries(product.variables ?? {})) {
+        if (!/^[A-Z][A-Z0-9_]*$/.test(name) || typeof value !== "string") {
+            errors.push(`variables.${name} must be a string with an upper case name`);
+        }
+    }
+    for (const [ref, type] of Object.entries(product.external_types ?? {})) {
+        if (!isObject(type) || typeof type.name !== "string" || typeof type.url !== "string") {
+            errors.push(`external_types.${ref} requires a name and a url`);
+        } else if ("ts_type" in type && typeof type.ts_type !== "string") {
+            errors.push(`external_types.${ref}.ts_type must be a string`);
+        }
+    }
+
+    if (errors.length) {
+        throw new CliError(errors.map(e => `${e} (in ${filePath ?? "the product data"})`).join("\n"));
+    }
+    return product;
+}
+
+/**
+ * Replaces the {name} placeholders of a template of the product data.
+ * Unknown placeholders are kept.
+ *
+ * @param {string} template - e.g. the title or the link of the product data
+ * @param {object} values - Values of the placeholders, keyed by name
+ * @returns {string}
+ */
+export function fillTemplate(template, values) {
+    return template.replace(/\{([a-z_]+)\}/g, (match, key) => values[key] ?? match);
+}
@@ -0,0 +1,123 @@
+/**
+ * Checks the labels and references of the generated RST files, before Sphinx
+ * reports them as warnings after a slow build:
+ *
+ * - references to labels, which are not defined in any generated file
+ * - labels, which are defined more than once (Sphinx ignores the case)
+ * - labels of the same page, which result in the same anchor (see
+ *   tools.guessRefId()), so links point to the wrong member
+ *
+ * The issues are reported to the diagnostics collector, with the schema
+ * location of the member or the template file causing them.
+ */
+
+import * as tools from "./tools.mjs";
+
+const normalize = label => label.toLowerCase();
+
+/**
+ * Returns the labels and references of a page generated by a writer, with the
+ * schema location of the members adding them.
+ *
+ * @param {Writer} writer - The writer which generated the page
+ * @returns {{labels: object[], references: object[]}} The labels and
+ *   references, each with label and location (namespace, path and files)
+ */
+export function collectWriterReferences(writer) {
+    const getLocation = member => ({
+        namespace: writer.namespaceName,
+        path: member ?? writer.namespaceName,
+        files: writer.SCHEMA_FILES,
+    });
+    return {
+        labels: [...writer.foundLabels].flatMap(([name, members]) => members.map(
+            member => ({ label: tools.escapeUppercase(name), location: getLocation(member) })
+        )),
+        references: [...writer.foundReferences].map(
+            ([name, member]) => ({ label: tools.escapeUppercase(name), location: getLocation(member) })
+        ),
+    };
+}
+
+/**
+ * Returns the labels and references of RST text, for files which are not
+ * generated by a writer (template files and additional pages).
+ *
+ * @param {string} text - The RST text
+ * @param {object} location - The location reported for all issues of the text
+ * @returns {{labels: object[], references: object[]}}
+ */
+export function parseRstReferences(text, location) {
+    const labels = [...text.matchAll(/^[ \t]*\.\. _([^:`\n]+):[ \t]*$/gm)]
+        .map(([, label]) => ({ label, location }));
+    const references = [...text.matchAll(/:ref:`([^`]+)`/g)]
+        .map(([, target]) => ({ label: target.match(/<([^<>]+)>$/)?.[1] ?? target, location }));
+    return { labels, references };
+}
+
+/**
+ * Keeps the labels and references of all generated pages. Pages can be
+ * replaced or removed, so only changed pages have to be parsed again in watch
+ * mode.
+ */
+export class ReferenceChecker {
+    #pages = new Map();
+
+    /**
+     * Sets the labels and references of a page, replacing the previous ones.
+     *
+     * @param {string} page - The generated file, relative to the output folder
+     * @param {{labels: object[], references: object[]}} entries - see
+     *   collectWriterReferences() and parseRstReferences()
+     */
+    setPage(page, entries) {
+        this.#pages.set(page, entries);
+    }
+
+    removePage(page) {
+        this.#pages.delete(page);
+    }
+
+    /**
+     * Reports unresolved references, duplicate labels and duplicate anchors.
+     *
+     * @param {Diagnostics} diagnostics - The diagnostics collector
+     * @returns {number} The number of reported issues
+     */
+    check(diagnostics) {
+        const knownCount = diagnostics.entries.length;
+        const report = (rule, message, location) => diagnostics.report({ rule, message, ...location });
+
+        const labels = new Map();
+        const pages = [...this.#pages.keys()].sort();
+        for (const page of pages) {
+            const anchors = new Map();
+            for (const { label, location } of this.#pages.get(page).labels) {
+                const key = normalize(label);
+                const known = labels.get(key);
+                if (known) {
+                    report("duplicate-label", `Label ${label} is already defined in ${known.page}`, location);
+                    continue;
+                }
+                labels.set(key, { label, page });
+
+                const anchor = tools.guessRefId(label);
+                const knownAnchor = anchors.get(anchor);
+                if (knownAnchor) {
+                    report("duplicate-anchor", `Label ${label} results in the anchor ${anchor}, which is already used by ${knownAnchor}`, location);
+                    continue;
+                }
+                anchors.set(anchor, label);
+            }
+        }
+
+        for (const page of pages) {
+            for (const { label, location } of this.#pages.get(page).references) {
+                if (!labels.has(normalize(label))) {
+                    report("unresolved-reference", `Reference to the unknown label ${label} (anchor ${tools.guessRefId(label)}) in ${page}`, location);
+                }
+            }
+        }
+        return diagnostics.entries.length - knownCount;
+    }
+}
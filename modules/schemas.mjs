@@ -0,0 +1,204 @@
+import * as tools from "./tools.mjs";
+import { DEFAULT_PRODUCT } from "./product.mjs";
+
+import path from "path";
+
+/**
+ * Reads all schema files of the given folder and merges them into the data
+ * used to generate the documentation.
+ *
+ * @param {string} folderPath - Path to the folder containing the schema files
+ *   and permissions.ftl
+ * @param {Diagnostics} [diagnostics] - Collector for issues found while
+ *   merging the schema files
+ * @param {string[]} [additionalTypeFiles] - Schema files which only define
+ *   global types, see the product data
+ * @param {object} [fileSystem] - The file system to read from, see
+ *   tools.nodeFileSystem
+ * @returns {Promise<object>} The detected thunderbird_version and
+ *   thunderbird_channel, the PERMISSION_LOCALES, the merged namespaces, the
+ *   globalTypes, the relatedNamespaceNames (per schema file), the schemaFiles
+ *   (per namespace and global type prefix) and the ADDITIONAL_TYPE_PREFIXES.
+ */
+export async function loadSchemas(folderPath, diagnostics = null, additionalTypeFiles = DEFAULT_PRODUCT.additional_type_files, fileSystem = tools.nodeFileSystem) {
+    const schemas = await tools.getSchemaFiles(folderPath, fileSystem);
+    const thunderbird_version = schemas.map(a => a.data.map(e => e.applicationVersion).filter(Boolean)).flat().pop();
+    let thunderbird_channel = "release";
+    if (thunderbird_version.includes("esr")) thunderbird_channel = "esr";
+    if (thunderbird_version.includes("b")) thunderbird_channel = "beta";
+    if (thunderbird_version.includes("a")) thunderbird_channel = "daily";
+
+    // Read fluent strings for permissions.
+    const PERMISSION_LOCALES = (await fileSystem.readFile(path.join(folderPath, `permissions.ftl`))).toString("utf8");
+
+    // Parent and Child implementations are in separate files and need to be
+    // merged. Sub namespaces are in the same file and need to be separated.
+    // Filter out global type definitions.
+    const ADDITIONAL_TYPE_PREFIXES = [];
+    const namespaces = new Map();
+    const globalTypes = new Map();
+    const relatedNamespaceNames = new Map();
+    const schemaFiles = new Map();
+    const addSchemaFile = (name, file) => {
+        schemaFiles.set(name, [...new Set([...(schemaFiles.get(name) ?? []), file])]);
+    };
+    for (let schema of schemas) {
+        if (additionalTypeFiles.includes(schema.file)) {
+            let data = schema.data.find(e => e.types);
+            ADDITIONAL_TYPE_PREFIXES.push(data.namespace);
+            addSchemaFile(data.namespace, schema.file);
+            data.types.forEach(t => {
+                globalTypes.set(`${data.namespace}.${t.id}`, t)
+            });
+            continue;
+        }
+
+        let manifestNamespace = schema.data.find(e => e.namespace == "manifest");
+        let otherNamespaces = schema.data.filter(e => e.namespace != "manifest");
+
+        // Find APIs which do not have a path and therefore no API namespace. In
+        // order to document those, we create a fake API namespace, following the
+        // same camel case notation.
+        if (!otherNamespaces.length && manifestNamespace?.types?.length) {
+            otherNamespaces = manifestNamespace.types
+                .filter(t => t.$extend === "WebExtensionManifest")
+                .flatMap(t => Object.keys(t.properties))
+                .map(snake => ({ namespace: tools.toCamelCase(snake) }));
+        }
+
+        for (let entry of otherNamespaces) {
+            const name = entry.namespace;
+            const onUnmergeable = diagnostics
+                ? (namespace, key) => diagnostics.report({
+                    rule: "unmergeable-schema-entry",
+                    message: `Cannot merge ${key} of the ${namespace} namespace`,
+                    namespace: name,
+                    path: `${name}.${key}`,
+                    files: [schema.file],
+                })
+                : undefined;
+            const namespace = tools.mergeSchema(namespaces.get(name) ?? [], entry, manifestNamespace, onUnmergeable);
+            namespaces.set(name, namespace);
+            addSchemaFile(name, schema.file);
+        }
+
+        const names = relatedNamespaceNames.get(schema.file) || [];
+        names.push(...otherNamespaces.map(e => e.namespace));
+        relatedNamespaceNames.set(schema.file, names);
+    }
+
+    // Loop over manifest schemas to extract extends and update the global
+    // manifest schema.
+    for (let [namespaceName, schema] of namespaces) {
+        const manifestSchema = schema.find(e => e.namespace == "manifest");
+        for (let localDefinition of (manifestSchema.types || [])) {
+            let extend = localDefinition["$extend"];
+            // We only care about extends here. There *are* manifests which also
+            // add local types to the global manifest (Theme), but we use the local
+            // manifest for the individual API generations.
+            if (extend) {
+                let globalDefinition = globalTypes.get(`manifest.${extend}`);
+                globalDefinition = tools.mergeSchemaExtensions(globalDefinition, localDefinition);
+                globalTypes.set(`manifest.${extend}`, globalDefinition);
+            }
+        }
+    }
+
+    return {
+        thunderbird_version,
+        thunderbird_channel,
+        PERMISSION_LOCALES,
+        namespaces,
+        globalTypes,
+        relatedNamespaceNames,
+        schemaFiles,
+        ADDITIONAL_TYPE_PREFIXES,
+    };
+}
+
+// Returns the version of the given version annotation of a schema entry, or
+// null if it is not annotated with a version.
+const getAnnotatedVersion = (obj, key) => {
+    const value = obj?.annotations?.find(a => key in a)?.[key];
+    return typeof value === "string" ? value : null;
+};
+
+/**
+ * Reduces the loaded schemas to a specific Thunderbird version: Namespaces,
+ * functions, events, properties, types, enum values and parameters added
+ * after the target version (as given by their version_added annotation) are
+ * removed. The deprecated and unsupported flags are set or removed according
+ * to the version_deprecated and version_unsupported annotations. Entries
+ * without such annotations are not changed. The data is modified in place.
+ *
+ * @param {object} data - The data returned by loadSchemas()
+ * @param {string} targetVersion - e.g. "128"
+ * @returns {object} The modified data
+ */
+export function applyTargetVersion(data, targetVersion) {
+    const isAvailable = obj => {
+        const version = getAnnotatedVersion(obj, "version_added");
+        return !version || tools.compareVersions(version, targetVersion) <= 0;
+    };
+    const applyFlag = (obj, annotation, flag) => {
+        const version = getAnnotatedVersion(obj, annotation);
+        if (!version) {
+            return;
+        }
+        if (tools.compareVersions(version, targetVersion) > 0) {
+            delete obj[flag];
+        } else if (!(flag in obj)) {
+            obj[flag] = true;
+        }
+    };
+
+    const reduce = (value) => {
+        if (Array.isArray(value)) {
+            return value.filter(isAvailable).map(reduce);
+        }
+        if (typeof value !== "object" || value === null) {
+            return value;
+        }
+
+        applyFlag(value, "version_deprecated", "deprecated");
+        applyFlag(value, "version_unsupported", "unsupported");
+        if (Array.isArray(value.enum) && value.enums) {
+            value.enum = value.enum.filter(e => isAvailable(value.enums[e]));
+            for (let name of Object.keys(value.enums)) {
+                if (!value.enum.includes(name)) {
+                    delete value.enums[name];
+                }
+            }
+        }
+        for (let [key, entry] of Object.entries(value)) {
+            if (key == "annotations" || key == "enum") {
+                continue;
+            }
+            if (["properties", "patternProperties"].includes(key) && typeof entry === "object" && !Array.isArray(entry)) {
+                for (let [name, property] of Object.entries(entry)) {
+                    if (!isAvailable(property)) {
+                        delete entry[name];
+                    }
+                }
+            }
+            value[key] = reduce(entry);
+        }
+        return value;
+    };
+
+    for (let [name, schema] of data.namespaces) {
+        if (!isAvailable(schema.find(e => e.namespace == name))) {
+            data.namespaces.delete(name);
+            continue;
+        }
+        data.namespaces.set(name, reduce(schema));
+    }
+    for (let [id, type] of data.globalTypes) {
+        if (isAvailable(type)) {
+            data.globalTypes.set(id, reduce(type));
+        } else {
+            data.globalTypes.delete(id);
+        }
+    }
+    return data;
+}
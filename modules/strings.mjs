@@ -12,7 +12,7 @@ export const permission_descriptions = {
 
     "declarativeNetRequestWithHostAccess": "Allows blocking or upgrading requests to hosts for which host permissions have already been granted.",
 
-    "menus.overrideContext": "Grant access to the :code:`menus.overrideContext()` method, hiding all default context menu entries and overriding the entire context menu.",
+    "menus.overrideContext": "Grant access to the <code>menus.overrideContext()</code> method, hiding all default context menu entries and overriding the entire context menu.",
 
     "webRequestBlocking": "Allows to use the blocking features of the webRequest API. With this permission, listeners can synchronously modify or cancel requests before they are sent or before a response is delivered. Without it, listeners can only observe requests without blocking or altering them.",
 }
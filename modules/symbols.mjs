@@ -0,0 +1,162 @@
+/**
+ * Builds the symbol map and the Sphinx inventory of the generated
+ * documentation, which are written by the --symbols and --inventory options.
+ * Both map the names of the documented APIs, members and types to their page
+ * and anchor, so other documentation projects do not have to guess the
+ * escaped labels (see tools.escapeUppercase() and tools.guessRefId()).
+ *
+ * The symbol map (symbols.json) has the following shape:
+ *
+ *   {
+ *     symbolsVersion: 1,
+ *     thunderbirdVersion: "128.0esr",
+ *     manifestVersion: 3,
+ *     link: "https://webextension-api.thunderbird.net/en/esr-mv3/",
+ *     symbols: [{
+ *       name: "messages.MessageHeader.author",
+ *       kind: "member",                       // see KINDS
+ *       page: "messages",                     // messages.rst
+ *       label: "messages.^message^header.author",
+ *       anchor: "messages-message-header-author",
+ *       url: "https://.../messages.html#messages-message-header-author",
+ *     }, ...],
+ *   }
+ *
+ * The inventory (objects.inv) uses the format of Sphinx, so intersphinx can
+ * resolve the names, for example :js:func:`messages.query` or
+ * :ref:`messages.^message^header`.
+ */
+
+import * as tools from "./tools.mjs";
+
+import zlib from "zlib";
+
+export const SYMBOLS_VERSION = 1;
+
+// The kinds of symbols and their domain and role in the inventory. Kinds
+// without a role are only listed as labels.
+const KINDS = {
+    namespace: "js:module",
+    function: "js:function",
+    event: "js:attribute",
+    property: "js:attribute",
+    type: "js:class",
+    member: "js:attribute",
+    manifest: null,
+    permission: null,
+};
+
+/**
+ * Collects the symbols of a generated page.
+ *
+ * @param {Writer} writer - The writer which generated the page
+ * @param {object} [options]
+ * @param {string} [options.page] - Name of the page (default: the namespace)
+ * @param {boolean} [options.isNamespace] - Whether the page documents an API
+ *   namespace, which is listed as a symbol as well
+ * @returns {object[]} The symbols, without their url
+ */
+export function collectSymbols(writer, { page = writer.namespaceName, isNamespace = true } = {}) {
+    const namespaceName = writer.namespaceName;
+    const schema = writer.namespaceSchema ?? {};
+    // API pages document the keys added by the API, the manifest.json page
+    // documents all keys.
+    const manifestKeys = isNamespace
+        ? (writer.manifestSchema?.types ?? [])
+            .filter(e => e.$extend === "WebExtensionManifest")
+            .flatMap(e => Object.keys(e.properties ?? {}))
+        : Object.keys(writer.TYPES.get("manifest.WebExtensionManifest")?.properties ?? {});
+
+    const kinds = new Map();
+    for (const kind of ["function", "event"]) {
+        for (const member of schema[`${kind}s`] ?? []) {
+            kinds.set(`${namespaceName}.${member.name}`, kind);
+        }
+    }
+    for (const name of Object.keys(schema.properties ?? {})) {
+        kinds.set(`${namespaceName}.${name}`, "property");
+    }
+    const getKind = (label) => {
+        const name = label.slice(namespaceName.length + 1);
+        if (kinds.has(label)) return kinds.get(label);
+        if (manifestKeys.includes(name)) return "manifest";
+        if (name.startsWith("permission.")) return "permission";
+        if (writer.find_type_definition(label, false)) return "type";
+        return "member";
+    };
+
+    const symbols = [];
+    if (isNamespace) {
+        symbols.push({ name: namespaceName, kind: "namespace", page, label: null, anchor: null });
+    }
+    for (const name of writer.foundLabels.keys()) {
+        const label = tools.escapeUppercase(name);
+        symbols.push({ name, kind: getKind(name), page, label, anchor: tools.guessRefId(label) });
+    }
+    return symbols;
+}
+
+/**
+ * Returns the symbol map of the given symbols.
+ *
+ * @param {object[]} symbols - The symbols of all pages, see collectSymbols()
+ * @param {object} options
+ * @param {string} options.thunderbirdVersion
+ * @param {number|string} options.manifestVersion
+ * @param {string} options.link - Link of the generated documentation
+ * @returns {object} The symbol map
+ */
+export function buildSymbolMap(symbols, { thunderbirdVersion, manifestVersion, link }) {
+    return {
+        symbolsVersion: SYMBOLS_VERSION,
+        thunderbirdVersion,
+        manifestVersion: Number(manifestVersion),
+        link,
+        symbols: [...symbols]
+            .sort((a, b) => a.name.localeCompare(b.name) || a.page.localeCompare(b.page))
+            .map(symbol => ({
+                ...symbol,
+                url: `${link}${symbol.page}.html${symbol.anchor ? `#${symbol.anchor}` : ""}`,
+            })),
+    };
+}
+
+/**
+ * Returns a Sphinx inventory (objects.inv, version 2) of the given symbols.
+ * Each page is listed as std:doc, each label as std:label and each symbol
+ * with its role in the js domain. The URIs are relative to the documentation.
+ *
+ * @param {object[]} symbols - The symbols of all pages, see collectSymbols()
+ * @param {object} options
+ * @param {string} options.project - Name of the project
+ * @param {string} options.version - Version of the project
+ * @returns {Buffer} The content of the inventory
+ */
+export function formatInventory(symbols, { project, version }) {
+    const lines = [];
+    const pages = [...new Set(symbols.map(e => e.page))].sort();
+    for (const page of pages) {
+        lines.push(`${page} std:doc -1 ${page}.html -`);
+    }
+    for (const { name, kind, page, label, anchor } of symbols) {
+        const uri = anchor ? `${page}.html#${anchor}` : `${page}.html`;
+        if (label) {
+            lines.push(`${label} std:label -1 ${uri} ${name}`);
+        }
+        if (KINDS[kind]) {
+            lines.push(`${name} ${KINDS[kind]} 1 ${uri} -`);
+        }
+    }
+
+    const header = [
+        "# Sphinx inventory version 2",
+        `# Project: ${project}`,
+        `# Version: ${version}`,
+        "# The remainder of this file is compressed using zlib.",
+        "",
+    ].join("\n");
+    return Buffer.concat([
+        Buffer.from(header, "utf8"),
+        zlib.deflateSync(Buffer.from(lines.sort().map(e => `${e}\n`).join(""), "utf8")),
+    ]);
+}
@@ -1,99 +1,299 @@
 import { promises as fs } from "fs";
 import path from "path";
 
+/**
+ * Error for invalid tags in template files.
+ */
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TemplateError";
+  }
+}
+
+/**
+ * Returns the numeric parts of a version.
+ *
+ * @param {string} version - e.g. "128.0esr"
+ * @returns {number[]} e.g. [128, 0], empty if the version does not start
+ *   with a number
+ */
+export function parseVersion(version) {
+  return String(version).match(/^\d+(\.\d+)*/)?.[0].split(".").map(Number) ?? [];
+}
+
+/**
+ * Compares the numeric parts of two versions, missing parts are treated as 0
+ * ("128.0esr" equals "128").
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} -1, 0 or 1
+ */
+export function compareVersions(a, b) {
+  const partsA = parseVersion(a);
+  const partsB = parseVersion(b);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+    if (diff) return Math.sign(diff);
+  }
+  return 0;
+}
+
+// Compares only the parts given in the condition, so "128.3.1esr" equals
+// "128" and "128.3".
+const compareVersionPrefix = (a, b) => compareVersions(
+  parseVersion(a).slice(0, parseVersion(b).length).join("."),
+  b
+);
+
+const CONDITION_KEYS = {
+  "mv": { getValue: config => config.manifest_version, compare: compareVersionPrefix },
+  "channel": { getValue: config => config.thunderbird_channel },
+  "version": { getValue: config => config.thunderbird_version, compare: compareVersionPrefix },
+}
+
+/**
+ * Evaluates a single condition, e.g. MV=3, CHANNEL!=ESR|DAILY or
+ * VERSION>=128.
+ *
+ * @param {string} condition
+ * @param {object} config - The generator config
+ * @returns {boolean}
+ * @throws {Error} if the condition is invalid (without location)
+ */
+function evaluateCondition(condition, config) {
+  const match = condition.match(/^([^!<>=]*)(!=|>=|<=|=|>|<)(.*)$/);
+  if (!match) {
+    throw new Error(`Missing operator in condition "${condition}"`);
+  }
+  const [, name, operator, valueString] = match;
+  const key = name.trim().toLowerCase();
+  const values = valueString.split("|").map(v => v.trim());
+
+  const definition = CONDITION_KEYS[key];
+  if (!definition) {
+    throw new Error(`Unknown condition key "${key.toUpperCase()}" (supported keys: ${Object.keys(CONDITION_KEYS).map(e => e.toUpperCase()).join(", ")})`);
+  }
+  if (values.some(v => !v)) {
+    throw new Error(`Missing value in condition "${condition}"`);
+  }
+  if (definition.compare && values.some(v => !parseVersion(v).length)) {
+    throw new Error(`Invalid version in condition "${condition}"`);
+  }
+  const actual = definition.getValue(config);
+
+  if (operator == "=" || operator == "!=") {
+    const matches = values.some(v => definition.compare
+      ? definition.compare(actual, v) == 0
+      : String(actual).toLowerCase() == v.toLowerCase()
+    );
+    return operator == "=" ? matches : !matches;
+  }
+
+  if (!definition.compare) {
+    throw new Error(`The ${operator} operator is not supported for ${key.toUpperCase()}`);
+  }
+  if (values.length > 1) {
+    throw new Error(`The ${operator} operator requires a single value in condition "${condition}"`);
+  }
+  const result = definition.compare(actual, values[0]);
+  switch (operator) {
+    case ">=": return result >= 0;
+    case "<=": return result <= 0;
+    case ">": return result > 0;
+    case "<": return result < 0;
+  }
+}
+
+/**
+ * Evaluates the {{CONDITION}} tags of a template file:
+ *
+ *   {{CONDITION:<conditions>:<text>}}
+ *   {{CONDITION:<conditions>:<text>{{ELSE}}<alternative text>}}
+ *
+ * The conditions are separated by commas and must all be true. Each condition
+ * is a key (MV, CHANNEL or VERSION), an operator (=, !=, >=, <=, > or <) and
+ * a value. The = and != operators accept multiple values separated by |.
+ * Versions are compared numerically, only the given parts are compared (the
+ * detected version 128.0esr matches VERSION=128). Tags can be nested.
+ *
+ * @param {string} content - Content of the template file
+ * @param {object} config - The generator config, including the detected
+ *   thunderbird_channel and thunderbird_version
+ * @returns {string} The content with all {{CONDITION}} tags evaluated
+ * @throws {TemplateError} if a tag is invalid or not terminated
+ */
 export function evaluateConditionTag(content, config) {
-  return content.replace(
-    /\{\{CONDITION:(.+?):([\s\S]*?)\}\}/g,
-    (match, conditionString, text) => {
-      let conditions = conditionString.split(",");
-      let include = true;
-      conditionCheck: for (let condition of conditions) {
-        let [key, value] = condition.split("=").map(s => s.trim());
-        let values = value.split("|").map(v => v.trim());
-        switch (key.toLowerCase()) {
-          case "mv":
-            if (!values.includes(config.manifest_version)) {
-              include = false;
-              break conditionCheck;
-            }
-            break;
-          case "channel":
-            if (!values.map(e => e.toLowerCase()).includes(config.thunderbird_channel)) {
-              include = false;
-              break conditionCheck;
-            }
-            break;
+  const START = "{{CONDITION:";
+  const ELSE = "{{ELSE}}";
+  const getLine = offset => content.slice(0, offset).split("\n").length;
+
+  // Returns the evaluated content from the given offset up to the end of the
+  // content or up to the closing }} of the enclosing tag, together with the
+  // position of the first {{ELSE}} at the top level and the end offset.
+  const parse = (offset, enclosed) => {
+    let rv = "";
+    let elsePosition = null;
+    let depth = 0;
+    while (offset < content.length) {
+      if (content.startsWith(START, offset)) {
+        const tagStart = offset;
+        const separator = content.indexOf(":", offset + START.length);
+        if (separator == -1) {
+          throw new TemplateError(`Invalid {{CONDITION}} tag in line ${getLine(tagStart)}`);
+        }
+        const conditionString = content.slice(offset + START.length, separator);
+        let include;
+        try {
+          include = conditionString.split(",").every(c => evaluateCondition(c.trim(), config));
+        } catch (err) {
+          throw new TemplateError(`${err.message} in line ${getLine(tagStart)}`);
         }
+        const inner = parse(separator + 1, true);
+        if (inner.end == null) {
+          throw new TemplateError(`Unterminated {{CONDITION}} tag in line ${getLine(tagStart)}`);
+        }
+        const [text, alternative] = inner.elsePosition == null
+          ? [inner.text, ""]
+          : [inner.text.slice(0, inner.elsePosition), inner.text.slice(inner.elsePosition)];
+        rv += include ? text : alternative;
+        offset = inner.end;
+      } else if (depth == 0 && content.startsWith(ELSE, offset)) {
+        if (!enclosed) {
+          throw new TemplateError(`{{ELSE}} outside of a {{CONDITION}} tag in line ${getLine(offset)}`);
+        }
+        if (elsePosition != null) {
+          throw new TemplateError(`Multiple {{ELSE}} tags in line ${getLine(offset)}`);
+        }
+        elsePosition = rv.length;
+        offset += ELSE.length;
+      } else if (content.startsWith("{{", offset)) {
+        // Other tags like {{TITLE}} are kept for later processing.
+        depth++;
+        rv += "{{";
+        offset += 2;
+      } else if (content.startsWith("}}", offset) && (depth > 0 || enclosed)) {
+        if (depth == 0) {
+          return { text: rv, elsePosition, end: offset + 2 };
+        }
+        depth--;
+        rv += "}}";
+        offset += 2;
+      } else {
+        rv += content[offset];
+        offset++;
       }
-      return include ? text : ""
     }
-  )
+    return { text: rv, elsePosition, end: null };
+  };
+
+  return parse(0, false).text;
 }
 
+// Names of template variables, e.g. {{TITLE}}.
+const VARIABLE_NAME = /^[A-Z][A-Z0-9_]*$/;
+
 /**
- * Recursively process all files in a folder matching the given string or regex.
- * 
- * @param {string} folderPath - Path to the folder to process.
- * @param {RegExp|string} fileMatcher - Regex or literal string to match files.
- * @param {boolean} recursive - Dive into subfolders 
- * @param {Function} callback - A callback function which accepts the content
- *   of the file as a parameter, and returns the manipulated content.
+ * Replaces the {{INCLUDE}} tags of a template file with the content of the
+ * referenced partial:
+ *
+ *   {{INCLUDE:<name>}}
+ *   {{INCLUDE:<name>:<KEY>=<value>,<KEY>=<value>}}
+ *
+ * The parameters are available as {{KEY}} variables inside of the partial.
+ * The {{CONDITION}} tags of a partial are evaluated after its parameters
+ * have been replaced, partials can include other partials. If a tag is the
+ * only content of its line, all lines of the partial are indented like the
+ * tag.
+ *
+ * @param {string} content - Content of the template file, with evaluated
+ *   {{CONDITION}} tags
+ * @param {Map<string, string>} partials - Content of the partials, keyed by
+ *   name
+ * @param {object} config - The generator config, used for the {{CONDITION}}
+ *   tags of the partials
+ * @param {string[]} [stack] - Names of the partials currently being included
+ * @returns {string} The content with all {{INCLUDE}} tags replaced
+ * @throws {TemplateError} if a partial or a parameter is invalid
  */
-export async function processFiles(folderPath, fileMatcher, recursive, callback) {
-  const entries = await fs.readdir(folderPath, { withFileTypes: true });
+export function expandIncludeTags(content, partials, config, stack = []) {
+  const getLine = offset => content.slice(0, offset).split("\n").length;
 
-  for (const entry of entries) {
-    const fullPath = path.join(folderPath, entry.name);
+  return content.replace(/\{\{INCLUDE:([^:}]+)(?::([^}]*))?\}\}/g, (match, name, parameterString = "", offset) => {
+    name = name.trim();
+    if (!partials.has(name)) {
+      throw new TemplateError(`Unknown partial "${name}" in line ${getLine(offset)}`);
+    }
+    if (stack.includes(name)) {
+      throw new TemplateError(`Recursive inclusion of partial "${name}" in line ${getLine(offset)}`);
+    }
 
-    if (entry.isDirectory()) {
-      if (recursive) await processFiles(fullPath, fileMatcher, recursive, callback);
-    } else if (entry.isFile()) {
-      const matches =
-        typeof fileMatcher === 'string'
-          ? entry.name === fileMatcher
-          : fileMatcher instanceof RegExp && fileMatcher.test(entry.name);
-
-      if (matches) {
-        let content = await fs.readFile(fullPath, 'utf8');
-        content = await callback(content, fullPath);
-        await fs.writeFile(fullPath, content, 'utf8');
+    const parameters = {};
+    for (const parameter of parameterString.split(",").filter(e => e.trim())) {
+      const index = parameter.indexOf("=");
+      const key = parameter.slice(0, index).trim();
+      if (index == -1 || !VARIABLE_NAME.test(key)) {
+        throw new TemplateError(`Invalid parameter "${parameter.trim()}" in line ${getLine(offset)}`);
       }
+      parameters[key] = parameter.slice(index + 1).trim();
     }
-  }
-}
 
+    let partial;
+    try {
+      partial = partials.get(name).replace(/\n$/, "");
+      partial = partial.replace(/\{\{([A-Z][A-Z0-9_]*)\}\}/g, (tag, key) => parameters[key] ?? tag);
+      partial = evaluateConditionTag(partial, config);
+      partial = expandIncludeTags(partial, partials, config, [...stack, name]);
+    } catch (err) {
+      if (err instanceof TemplateError) {
+        err.message = `${name}: ${err.message}`;
+      }
+      throw err;
+    }
+
+    const indent = content.slice(content.lastIndexOf("\n", offset - 1) + 1, offset);
+    const isLine = /^[ ]*$/.test(indent) && /^(\n|$)/.test(content.slice(offset + match.length));
+    return isLine
+      ? partial.split("\n").map((line, i) => (i && line ? `${indent}${line}` : line)).join("\n")
+      : partial;
+  });
+}
 
 /**
- * Simple helper function to parse command line arguments.
+ * Replaces the {{NAME}} variables of a template file. Values which are arrays
+ * are inserted as multiple lines, each indented like the tag.
  *
- * @param {string[]} argv - Array of arguments (defaults to process.argv.slice(2))
- * @returns {object} command line arguments and their values
+ * @param {string} content - Content of the template file
+ * @param {object} variables - Values of the variables (strings or arrays of
+ *   strings), keyed by name
+ * @returns {string} The content with all variables replaced
+ * @throws {TemplateError} if an unknown variable is used
  */
-export function parseArgs(argv = process.argv.slice(2)) {
-  const args = {};
-  for (const arg of argv) {
-    if (arg.startsWith('--')) {
-      const [key, value] = arg.slice(2).split('=');
-      if (!value) {
-        args[key] = true;
-      } else {
-        args[key] = value.toLowerCase();
-      }
+export function replaceVariableTags(content, variables) {
+  return content.replace(/([ ]*)\{\{([A-Z][A-Z0-9_]*)\}\}/g, (match, indent, name) => {
+    const value = variables[name];
+    if (value === undefined) {
+      throw new TemplateError(`Unknown variable {{${name}}} (available variables: ${Object.keys(variables).sort().join(", ")})`);
     }
-  }
-  return args;
+    return Array.isArray(value)
+      ? value.map(line => `${indent}${line}`).join("\n")
+      : `${indent}${value}`;
+  });
 }
 
 /**
  * Reads all JSON files in a folder asynchronously.
  *
  * @param {string} folderPath - Path to the folder containing JSON files
+ * @param {object} [fileSystem] - The file system to read from, see
+ *   nodeFileSystem
  * @returns {Promise<Array<{file: string, data: any}>>} Array of file names and parsed JSON data
  */
-export async function getSchemaFiles(folderPath) {
+export async function getSchemaFiles(folderPath, fileSystem = nodeFileSystem) {
   try {
-    // Read all file names in the folder
-    const files = await fs.readdir(folderPath);
+    // Read all file names in the folder, without the files of subfolders
+    const files = (await fileSystem.listFiles(folderPath)).filter(file => !file.includes(path.sep));
 
     // Filter only JSON files
     const jsonFiles = files.filter(file => file.endsWith(".json"));
@@ -102,7 +302,7 @@ export async function getSchemaFiles(folderPath) {
     const results = await Promise.all(
       jsonFiles.map(async file => {
         const filePath = path.join(folderPath, file);
-        const content = await fs.readFile(filePath, "utf-8");
+        const content = (await fileSystem.readFile(filePath)).toString("utf-8");
         return {
           file,
           data: JSON.parse(content)
@@ -116,104 +316,64 @@ export async function getSchemaFiles(folderPath) {
   }
 }
 
-async function clearFolder(folderPath) {
-  try {
-    const stats = await fs.stat(folderPath);
-    if (!stats.isDirectory()) {
-      throw new Error(`${folderPath} exists but is not a directory`);
-    }
-    // Folder exists — clear its contents
-    const entries = await fs.readdir(folderPath, { withFileTypes: true });
-    for (const entry of entries) {
-      // Skip hidden files/folders
-      if (entry.name.startsWith('.')) continue;
-
-      const fullPath = path.join(folderPath, entry.name);
-      if (entry.isDirectory()) {
-        await fs.rm(fullPath, { recursive: true, force: true });
-      } else {
-        await fs.unlink(fullPath);
-      }
-    }
-  } catch (err) {
-    if (err.code === 'ENOENT') {
-      // Folder does not exist — create it
-      await fs.mkdir(folderPath, { recursive: true });
-    } else {
-      throw err; // propagate other errors
+/**
+ * Returns the paths of all files in a folder and its subfolders, relative to
+ * the given folder.
+ *
+ * @param {string} folderPath - Folder path
+ * @returns {Promise<string[]>} relative file paths
+ */
+export async function listFiles(folderPath) {
+  const files = [];
+  const entries = await fs.readdir(folderPath, { withFileTypes: true });
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const subFiles = await listFiles(path.join(folderPath, entry.name));
+      files.push(...subFiles.map(file => path.join(entry.name, file)));
+    } else if (entry.isFile()) {
+      files.push(entry.name);
     }
   }
+  return files;
 }
 
 /**
- * Recursively copies a folder to a destination, removing the destination first.
+ * The file system used to read the schema files and the template. Other file
+ * systems (for example an in-memory file system) must provide the same
+ * functions:
  *
- * @param {string} source - Source folder path
- * @param {string} destination - Destination folder path
+ * - readFile(filePath): Returns a Promise for a Buffer with the content of the
+ *   file, rejected with an error with code "ENOENT" for missing files and
+ *   "EISDIR" for folders.
+ * - listFiles(folderPath): Returns a Promise for the paths of all files in the
+ *   folder and its subfolders, relative to the folder (see listFiles()).
  */
-export async function copyFolder(source, destination) {
-  const src = path.resolve(source);
-  const dest = path.resolve(destination);
-
-  // Clear destination folder.
-  await clearFolder(dest);
-
-  // Read source folder contents.
-  const entries = await fs.readdir(src, { withFileTypes: true });
-
-  // Copy each entry.
-  await Promise.all(
-    entries.map(async (entry) => {
-      const srcPath = path.join(src, entry.name);
-      const destPath = path.join(dest, entry.name);
-      if (entry.isDirectory()) {
-        // Recursively copy subfolder.
-        await copyFolder(srcPath, destPath);
-      } else {
-        // Copy file.
-        await fs.copyFile(srcPath, destPath);
-      }
-    })
-  );
-}
+export const nodeFileSystem = {
+  readFile: filePath => fs.readFile(filePath),
+  listFiles: folderPath => listFiles(folderPath),
+};
 
 /**
- * Fix malformed <val> or <var> tags written as double opening tags:
- * e.g., <val>something<val>  -> <val>something</val>
+ * Writes a file, unless it already exists with the same content. Missing
+ * parent folders are created.
  *
- * @param {string} str
- * @param {string[]} tags  list of tag names to repair
- * @returns {string}
+ * @param {string} filePath - File path
+ * @param {string|Buffer} content - Content of the file
+ * @returns {Promise<boolean>} whether the file has been written
  */
-export function fixMalformedClosingTags(str, tags = []) {
-  for (const tag of tags) {
-    const openTag = `<${tag}>`;
-    let start = 0;
-
-    while (true) {
-      // find the first opening tag
-      const first = str.indexOf(openTag, start);
-      if (first === -1) break;
-
-      // find the next opening tag after the first
-      const second = str.indexOf(openTag, first + openTag.length);
-      if (second === -1) break;
-
-      // check if there is a proper closing tag in between
-      const content = str.slice(first + openTag.length, second);
-      if (!content.includes(`</${tag}>`)) {
-        // fix: replace the second opening with a closing tag
-        str =
-          str.slice(0, second) +
-          `</${tag}>` +
-          str.slice(second + openTag.length);
-      }
-
-      // continue search after the first tag (or second if fixed)
-      start = second + 1;
+export async function writeFileIfChanged(filePath, content) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+  try {
+    const existing = await fs.readFile(filePath);
+    if (existing.equals(buffer)) {
+      return false;
     }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
   }
-  return str;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+  return true;
 }
 
 /**
@@ -228,25 +388,6 @@ export function indentLines(lines, spaces = 2) {
   return lines.map(line => indent + line);
 }
 
-/**
- * Escapes special characters in a string for use in a RegExp.
- *
- * @param {string} str - String to escape
- * @returns {string} Escaped string
- */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-export function indentHonoringReplace(content, placeholder, lines) {
-  const regex = new RegExp(`([ ]*)${escapeRegex(placeholder)}`, "gm");
-  return content.replace(regex, (match, indent, offset, full) => {
-    // build replacement: new lines, each with same indent
-    const block = lines.map(l => `${indent}${l}`).join("\n");
-    return block;
-  });
-}
-
 const stableStringify = (obj) => {
   switch (getType(obj)) {
     case "primitive":
@@ -281,9 +422,11 @@ const getType = (v) => {
  * @param {Array<object>} entries - Existing entries
  * @param {object} entry - Entry to merge
  * @param {object} manifest - Manifest to merge
+ * @param {Function} [onUnmergeable] - Callback receiving the namespace, key
+ *   and value of entries which could not be merged
  * @returns {Array<object>} Updated entries array
  */
-export function mergeSchema(entries, entry, manifest) {
+export function mergeSchema(entries, entry, manifest, onUnmergeable = (namespace, key, value) => console.log("Hu?", key, value)) {
   const subMerge = (a, b) => { // b into a
     for (let entry of Object.keys(b)) {
       if (getType(b[entry]) == "primitive") {
@@ -315,7 +458,7 @@ export function mergeSchema(entries, entry, manifest) {
           continue;
         }
       }
-      console.log("Hu?", entry, b[entry])
+      onUnmergeable(b.namespace, entry, b[entry]);
     }
   }
 
@@ -0,0 +1,130 @@
+// Diffs with more edits are not computed line by line, but shown as a full
+// replacement, to limit the memory needed by the Myers algorithm.
+const MAX_TRACE_SIZE = 2e7;
+
+/**
+ * Returns the edit script transforming the lines of a into the lines of b,
+ * using the Myers algorithm.
+ *
+ * @param {string[]} a - old lines
+ * @param {string[]} b - new lines
+ * @returns {Array<[string, string]>} pairs of operation (" ", "-" or "+")
+ *   and line
+ */
+function diffLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    search: for (let d = 0; d <= max; d++) {
+        if ((d + 1) * v.length > MAX_TRACE_SIZE) {
+            return [...a.map(line => ["-", line]), ...b.map(line => ["+", line])];
+        }
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k == -d || (k != d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                break search;
+            }
+        }
+    }
+
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const tv = trace[d];
+        const k = x - y;
+        const prevK = (k == -d || (k != d && tv[offset + k - 1] < tv[offset + k + 1]))
+            ? k + 1
+            : k - 1;
+        const prevX = tv[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push([" ", a[x - 1]]);
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            ops.push(x == prevX ? ["+", b[prevY]] : ["-", a[prevX]]);
+            x = prevX;
+            y = prevY;
+        }
+    }
+    return ops.reverse();
+}
+
+/**
+ * Returns a unified diff of two texts.
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {string} oldName - Name of the old file, used in the header
+ * @param {string} newName - Name of the new file, used in the header
+ * @param {number} context - Number of unchanged lines around each change
+ * @returns {string} The diff, or an empty string if the texts are equal
+ */
+export function createUnifiedDiff(oldText, newText, oldName, newName, context = 3) {
+    if (oldText === newText) {
+        return "";
+    }
+    // Lines keep their line break, to detect a missing one at the end.
+    const split = text => text.match(/[^\n]*\n|[^\n]+$/g) ?? [];
+    const ops = diffLines(split(oldText), split(newText));
+
+    const lines = [`--- ${oldName}`, `+++ ${newName}`];
+    let i = 0;
+    let oldLine = 1;
+    let newLine = 1;
+    while (i < ops.length) {
+        // Skip unchanged lines, until the context of the next change.
+        let next = i;
+        while (next < ops.length && ops[next][0] == " ") next++;
+        if (next == ops.length) break;
+        const start = Math.max(i, next - context);
+        for (let j = i; j < start; j++) {
+            oldLine++;
+            newLine++;
+        }
+
+        // Extend the hunk until the unchanged gap is larger than twice the
+        // context.
+        let end = next;
+        let gap = 0;
+        for (let j = next; j < ops.length; j++) {
+            if (ops[j][0] == " ") {
+                gap++;
+                if (gap > 2 * context) break;
+            } else {
+                gap = 0;
+                end = j + 1;
+            }
+        }
+        end = Math.min(ops.length, end + context);
+
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(([op]) => op != "+").length;
+        const newCount = hunk.filter(([op]) => op != "-").length;
+        lines.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        lines.push(...hunk.map(([op, line]) => line.endsWith("\n")
+            ? `${op}${line.slice(0, -1)}`
+            : `${op}${line}\n\\ No newline at end of file`
+        ));
+
+        oldLine += oldCount;
+        newLine += newCount;
+        i = end;
+    }
+    return lines.join("\n");
+}
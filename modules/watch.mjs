@@ -0,0 +1,99 @@
+import { readdirSync, statSync, watch } from "fs";
+import path from "path";
+
+// Returns the given folder and all its subfolders.
+function getFolders(folderPath) {
+    let entries;
+    try {
+        entries = readdirSync(folderPath, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return [
+        folderPath,
+        ...entries
+            .filter(e => e.isDirectory())
+            .flatMap(e => getFolders(path.join(folderPath, e.name))),
+    ];
+}
+
+function isFolder(folderPath) {
+    try {
+        return statSync(folderPath).isDirectory();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Watches the given folders (including their subfolders) and calls the
+ * callback with the paths of all changed files, once no further change has
+ * happened for the given delay. Calls of the callback are never overlapping,
+ * changes happening while the callback is running are collected for the next
+ * call. Errors thrown by the callback are logged, watching continues.
+ *
+ * @param {string[]} folderPaths - Folders to watch
+ * @param {Function} callback - Async function receiving a Set of changed paths
+ * @param {number} delay - Time in ms to wait for further changes
+ * @returns {Function} A function to stop watching
+ */
+export function watchFolders(folderPaths, callback, delay = 250) {
+    let pending = new Set();
+    let timer = null;
+    let running = Promise.resolve();
+
+    const flush = () => {
+        const changed = pending;
+        pending = new Set();
+        running = running
+            .then(() => callback(changed))
+            .catch(err => console.error(err));
+    };
+
+    const onChange = (folderPath, fileName) => {
+        const changedPath = fileName ? path.join(folderPath, fileName.toString()) : folderPath;
+        pending.add(changedPath);
+        clearTimeout(timer);
+        timer = setTimeout(flush, delay);
+        return changedPath;
+    };
+
+    // Recursive watching is not available on Linux before Node 19.1, each
+    // folder is watched on its own instead, including new subfolders.
+    const watchers = new Map();
+    const watchFolder = (folderPath) => {
+        for (const subfolderPath of getFolders(folderPath).filter(e => !watchers.has(e))) {
+            const watcher = watch(subfolderPath, (eventType, fileName) => {
+                const changedPath = onChange(subfolderPath, fileName);
+                if (!watchers.has(changedPath) && isFolder(changedPath)) {
+                    watchFolder(changedPath);
+                }
+            });
+            // The watcher of a removed folder fails.
+            watcher.on("error", () => {
+                watcher.close();
+                watchers.delete(subfolderPath);
+            });
+            watchers.set(subfolderPath, watcher);
+        }
+    };
+    for (const folderPath of folderPaths) {
+        try {
+            watchers.set(folderPath, watch(
+                folderPath,
+                { recursive: true },
+                (eventType, fileName) => onChange(folderPath, fileName)
+            ));
+        } catch (err) {
+            if (err.code != "ERR_FEATURE_UNAVAILABLE_ON_PLATFORM") {
+                throw err;
+            }
+            watchFolder(folderPath);
+        }
+    }
+
+    return () => {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+    };
+}
@@ -1,10 +1,35 @@
 import { AdvancedArray, LevelState } from "./classes.mjs";
 import * as tools from "./tools.mjs"
-import * as strings from "./strings.mjs";
+import { DEFAULT_PRODUCT } from "./product.mjs";
+import { API_SECTIONS, NO_PLUGINS } from "./plugins.mjs";
+import { checkCodeSyntax, getCodeLanguage } from "./code-check.mjs";
+import { HtmlRenderer, parseHtml } from "./html.mjs";
 
 const DBT = "``";
 const SBT = "`";
 
+// References in descriptions: $(ref:...), $(doc:...), the deprecated
+// $(topic:...)[text] and the deprecated |...| notation. Trailing () of refs are
+// ignored.
+export const REFERENCE_REGEX = /\$\(ref:(.*?)(?:\(\))?\)|\$\(doc:(.*?)\)|\$\(topic:[^)]+\)\[(.*?)\]|\|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)(?:\(\))?\|/g;
+
+// The input data is read from JSON, which has special escape rules. A literal
+// \n in the JSON will be interpreted as a line break. Per convention, we
+// interpret these as their literal values. Backslashes are escaped by the
+// writers, see escape_text() and escape_literal().
+const CONTROL_CHARACTERS = {
+    "\b": "\\b",
+    "\f": "\\f",
+    "\r": "\\r",
+    "\t": "\\t",
+    "\n": "\\n",
+};
+const showControlCharacters = str => str.replace(/[\b\f\r\t\n]/g, char => CONTROL_CHARACTERS[char]);
+
+// Folder of the output, which receives the images of the image annotations.
+// The images are stored with their path relative to the schema folder.
+export const IMAGES_FOLDER = "schema-images";
+
 export class Writer {
     #options;
 
@@ -14,6 +39,20 @@ export class Writer {
         this.foundPermissions = new Set();
         this.foundTypes = new Set();
         this.version_added_tracker = new LevelState()
+        // The member currently processed and the first member using each
+        // found type, used to locate reported issues.
+        this.currentMember = null;
+        this.typeReferrers = new Map();
+        // The labels added to the page (with the members adding them) and the
+        // referenced labels (with the first member referencing them), used for
+        // the symbol map and to check the references.
+        this.foundLabels = new Map();
+        this.foundReferences = new Map();
+        // The images of image annotations, with their path in the output
+        // folder and the first member using them.
+        this.foundImages = new Map();
+        // The sections of the page, in the order of their sidebar entries.
+        this.sectionNames = API_SECTIONS;
     }
 
     get config() {
@@ -49,10 +88,42 @@ export class Writer {
     get ADDITIONAL_TYPE_PREFIXES() {
         return this.#options.ADDITIONAL_TYPE_PREFIXES;
     }
+    get SCHEMA_FILES() {
+        return this.#options.SCHEMA_FILES ?? [];
+    }
+    // Link of the published documentation, see the product data.
+    get DOCUMENTATION_LINK() {
+        return this.#options.link ?? null;
+    }
+    get PRODUCT() {
+        return this.#options.product ?? DEFAULT_PRODUCT;
+    }
+    get STRINGS() {
+        return this.PRODUCT.strings;
+    }
+    get PLUGINS() {
+        return this.#options.plugins ?? NO_PLUGINS;
+    }
 
-    reportFixMeIfTriggered(value, ...info) {
-        if (value && this.config.report_errors) {
-            console.log(" - FIXME:", ...info);
+    /**
+     * Reports an issue in the schema files to the diagnostics collector, if
+     * the given value is truthy. The issue is attributed to the member which
+     * is currently being processed.
+     *
+     * @param {any} value - The value to check
+     * @param {string} rule - The id of the violated rule (see lint.mjs)
+     * @param {string} message - Description of the issue
+     * @returns {any} The given value
+     */
+    reportFixMeIfTriggered(value, rule, message) {
+        if (value) {
+            this.#options.diagnostics?.report({
+                rule,
+                message,
+                namespace: this.namespaceName,
+                path: this.currentMember ?? this.namespaceName,
+                files: this.SCHEMA_FILES,
+            });
         }
         return value;
     }
@@ -149,6 +220,190 @@ export class Writer {
         ];
     }
 
+    // Inline and block primitives. Output backends other than RST override
+    // these (see markdown-writer.mjs), the schema walk below stays shared.
+
+    format_literal(str) {
+        return `${DBT}${str}${DBT}`;
+    }
+
+    format_value(str) {
+        // Work around sphinx bug ignoring roles if they start with spaces,
+        // by prefixing a zero-width space.
+        return `:value:${SBT}${str.startsWith(" ") ? "\u200B" : ""}${str}${SBT}`;
+    }
+
+    format_code(str) {
+        return `:code:${SBT}${str}${SBT}`;
+    }
+
+    format_permission(str) {
+        return `:permission:${SBT}${str}${SBT}`;
+    }
+
+    // Escapes the characters of plain text, which would be interpreted as
+    // inline markup.
+    escape_text(str) {
+        return str
+            .replace(/[\\*`|]/g, "\\$&")
+            .replace(/(?<=\w)_(?=\W|$)/g, "\\_");
+    }
+
+    // Escapes the text of inline literals like format_code() and
+    // format_value().
+    escape_literal(str) {
+        return str.replace(/\\/g, "\\\\");
+    }
+
+    format_added_in(version) {
+        return `-- [Added in TB ${version}]`;
+    }
+
+    format_inline_type(str) {
+        return `${SBT}${str}${SBT}`;
+    }
+
+    format_strong(str) {
+        return `**${str}**`;
+    }
+
+    format_emphasis(str) {
+        return `*${str}*`;
+    }
+
+    format_external_link(text, url) {
+        return `${SBT}${text} <${url}>${SBT}__`;
+    }
+
+    format_doc_link(doc) {
+        return `:doc:${SBT}${doc}${SBT}`;
+    }
+
+    format_ref(ref) {
+        if (!this.foundReferences.has(ref)) {
+            this.foundReferences.set(ref, this.currentMember);
+        }
+        return `:ref:${SBT}${tools.escapeUppercase(ref)}${SBT}`;
+    }
+
+    admonition(kind, text, { classname = null } = {}) {
+        const lines = [""];
+        if (classname) {
+            lines.push(`.. rst-class:: ${classname}`, "");
+        }
+        lines.push(
+            `.. ${kind}::`,
+            "",
+            ...tools.indentLines(text.split("\n"), 3),
+            "",
+        );
+        return lines;
+    }
+
+    code_block(language, code) {
+        return [
+            "",
+            `.. code-block:: ${language ?? ""}`,
+            "",
+            ...code.map(e => `   ${e}`),
+            "",
+        ];
+    }
+
+    // Items with multiple lines are continued at the text column of the item.
+    bullet_list(items, marker = " * ") {
+        return items.flatMap(e => {
+            const [first, ...lines] = e.split("\n");
+            return [`${marker}${first}`, ...tools.indentLines(lines, marker.length)];
+        });
+    }
+
+    image(src, alt = null) {
+        const lines = ["", `.. image:: /${src}`];
+        if (alt) {
+            lines.push(`   :alt: ${alt}`);
+        }
+        lines.push("");
+        return lines;
+    }
+
+    table(rows) {
+        return [
+            "",
+            ".. list-table::",
+            "   :header-rows: 1",
+            "",
+            ...rows.flatMap(row => row.map((cell, i) => `${i == 0 ? "   * - " : "     - "}${cell}`.trimEnd())),
+            "",
+        ];
+    }
+
+    see_also(items) {
+        return [
+            "",
+            ".. seealso::",
+            "",
+            ...this.bullet_list(items, "   * "),
+            "",
+        ];
+    }
+
+    description_only_container() {
+        // fake api-member div structure, so style sheets continue to work
+        return {
+            indent: "      ",
+            lines: [
+                "",
+                ".. container:: api-member-node",
+                "",
+                "   .. container:: api-member-description-only"
+            ],
+        };
+    }
+
+    member_indent() {
+        return "   ";
+    }
+
+    return_type_header(content) {
+        content.append([
+            "",
+            ".. _Promise: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise"
+        ]);
+        return this.api_header("Return type (`Promise`_)", content);
+    }
+
+    sidebar_entry(title) {
+        return `  * ${SBT}${title}${SBT}_`;
+    }
+
+    page_header(title) {
+        return [
+            ".. container:: sticky-sidebar",
+            "",
+            `  ≡ ${title}`,
+            "",
+            ...this.sectionNames.map(name => this.sidebar.get(name)),
+            "",
+            "  .. include:: /_includes/developer-resources.rst",
+            "",
+            //        "  ≡ Related information",
+            //        "",
+            //        "  * :doc:`/examples/eventListeners`",
+            //        "",
+            "=".repeat(title.length),
+            title,
+            "=".repeat(title.length),
+            "",
+            ".. role:: permission",
+            "",
+            ".. role:: value",
+            "",
+            ".. role:: code",
+            "",
+        ];
+    }
+
     format_params(func, { callback = null } = {}) {
         const params = [];
 
@@ -173,7 +428,7 @@ export class Writer {
             typeof version_added === 'string' &&
             this.version_added_tracker.isDifferentFromParent(depth, version_added)
         ) {
-            return `-- [Added in TB ${version_added}]`;
+            return this.format_added_in(version_added);
         }
         return "";
     }
@@ -196,16 +451,11 @@ export class Writer {
 
         let indent;
         if (print_enum_only || print_description_only) {
-            // fake api-member div structure, so style sheets continue to work
-            indent = "      ";
-            fakeHeader.push(
-                "",
-                ".. container:: api-member-node",
-                "",
-                "   .. container:: api-member-description-only"
-            );
+            const container = this.description_only_container();
+            indent = container.indent;
+            fakeHeader.push(...container.lines);
         } else {
-            indent = "   ";
+            indent = this.member_indent();
             content.push(...this.api_member({
                 name: parts.name,
                 type: `${parts.type}${parts.type_annotation}`,
@@ -289,13 +539,13 @@ export class Writer {
         for (let namespaceSchema of [...this.parentNamespaceSchemas, this.namespaceSchema]) {
             const entries = {
                 manifest: {
-                    single: "A manifest entry named %s is required to use ``messenger.%s.*``.",
-                    multiple: "One of the manifest entries %s or %s is required to use ``messenger.%s.*``.",
+                    single: "A manifest entry named %s is required to use %n.",
+                    multiple: "One of the manifest entries %s or %s is required to use %n.",
                     entries: [],
                 },
                 permissions: {
-                    single: "The permission %s is required to use ``messenger.%s.*``.",
-                    multiple: "One of the permissions %s or %s is required to use ``messenger.%s.*``.",
+                    single: "The permission %s is required to use %n.",
+                    multiple: "One of the permissions %s or %s is required to use %n.",
                     entries: [],
                 },
             };
@@ -306,7 +556,7 @@ export class Writer {
                 for (const permission of permissions) {
                     if (!permission.startsWith("manifest:")) {
                         this.foundPermissions.add(permission);
-                        entries.permissions.entries.push(`:permission:${SBT}${permission}${SBT}`);
+                        entries.permissions.entries.push(this.format_permission(permission));
                     } else {
                         // Only require manifestEntries which actually exists!
                         // The way action and browserAction are derived from each
@@ -314,35 +564,28 @@ export class Writer {
                         const manifestEntry = permission.slice(9);
                         const manifestEntryExists = this.manifestSchema.types?.some(m => m.properties?.[manifestEntry]);
                         if (manifestEntryExists) { 
-                            entries.manifest.entries.push(`:value:${SBT}${manifestEntry}${SBT}`);
+                            entries.manifest.entries.push(this.format_value(manifestEntry));
                         }
                     }
                 }
             }
 
+            const namespaceUsage = this.format_literal(`messenger.${this.namespaceName}.*`);
             for (const entrytype of ["manifest", "permissions"]) {
                 const entry = entries[entrytype];
                 let text = "";
                 if (entry.entries.length === 0) continue;
                 else if (entry.entries.length === 1) {
-                    text = entry.single.replace("%s", entry.entries[0]).replace("%s", this.namespaceName);
+                    text = entry.single.replace("%s", entry.entries[0]).replace("%n", namespaceUsage);
                 } else {
                     const last = entry.entries.pop();
                     text = entry.multiple
                         .replace("%s", entry.entries.join(", "))
                         .replace("%s", last)
-                        .replace("%s", this.namespaceName);
+                        .replace("%n", namespaceUsage);
                 }
 
-                section.append([
-                    "",
-                    ".. rst-class:: api-permission-info",
-                    "",
-                    ".. note::",
-                    "",
-                    "   " + text,
-                    ""
-                ]);
+                section.append(this.admonition("note", text, { classname: "api-permission-info" }));
             }
         }
 
@@ -365,7 +608,7 @@ export class Writer {
         for (const permission of Array.from(new Set(allPermissions)).sort()) {
             if (!permission.startsWith("manifest:")) {
                 this.foundPermissions.add(permission);
-                entries.push(`- :permission:${SBT}${permission}${SBT}`);
+                entries.push(...this.bullet_list([this.format_permission(permission)], "- "));
             }
         }
 
@@ -433,7 +676,7 @@ export class Writer {
                     enum_description = this.format_description(schema_annotations[enum_value]);
                 }
                 enum_lines.push(...this.api_member({
-                    name: `:value:${SBT}${enum_value}${SBT}`,
+                    name: this.format_value(enum_value),
                     annotation: enum_annotation,
                     description: enum_description,
                     refId: refId ? `${refId}.${enum_value}` : null,
@@ -501,7 +744,7 @@ export class Writer {
             let first = true;
             for (const choice of typeDef.choices) {
                 if (!first) {
-                    section.push("", "*or*", "");
+                    section.push("", this.format_emphasis("or"), "");
                 }
                 first = false;
                 section.append(this.api_header(
@@ -522,9 +765,9 @@ export class Writer {
     format_description(obj) {
         const section = new AdvancedArray();
         if ("description" in obj) {
-            // Descriptions may still contain <li> tags, which are transformed
-            // into markdown bullet points and line breaks. Eventually, those
-            // should be replaced by annotations.
+            // Descriptions may contain HTML lists and paragraphs, which are
+            // converted into multiple lines. Eventually, those should be
+            // replaced by annotations.
             const desc = this.replace_code(obj.description.trim()).split("\n");
             section.append("");
             section.append(desc);
@@ -533,32 +776,42 @@ export class Writer {
         for (let annotation of obj.annotations ?? []) {
             if (Object.hasOwn(annotation, "text")) {
                 section.append("");
-                section.append(this.replace_code(annotation.text.trim()));
+                section.append(this.replace_code(annotation.text.trim()).split("\n"));
                 section.append("");
             }
             if (Object.hasOwn(annotation, "code")) {
-                section.append([
-                    "",
-                    `.. code-block:: ${annotation.type ?? ""}`,
-                    "",
-                    ...annotation.code.map(e => `   ${e}`),
-                    "",
-                ])
+                this.check_code(annotation.type, annotation.code);
+                section.append(this.code_block(annotation.type, annotation.code))
             }
             if (Object.hasOwn(annotation, "list")) {
                 section.append("");
-                section.append(annotation.list.map(e => ` * ${this.replace_code(e)}`))
+                section.append(this.bullet_list(annotation.list.map(e => this.replace_code(e))))
                 section.append("");
             }
             for (let box of ["note", "hint", "warning"]) {
                 if (Object.hasOwn(annotation, box)) {
-                    section.append([
-                        "",
-                        `.. ${box}::`,
-                        "",
-                        `   ${this.replace_code(annotation[box].trim())}`,
-                        "",
-                    ])
+                    section.append(this.admonition(box, this.replace_code(annotation[box].trim())))
+                }
+            }
+            if (Object.hasOwn(annotation, "image")) {
+                section.append(this.format_image_annotation(annotation));
+            }
+            if (Object.hasOwn(annotation, "table")) {
+                section.append(this.format_table_annotation(annotation.table));
+            }
+            if (Object.hasOwn(annotation, "see_also") && this.isStringList(annotation.see_also, "see_also")) {
+                section.append(this.see_also(annotation.see_also.map(e => this.format_link(e))));
+            }
+            if (Object.hasOwn(annotation, "examples") && this.isStringList(annotation.examples, "examples")) {
+                section.append(["", this.format_strong("Examples:"), ""]);
+                section.append(this.bullet_list(annotation.examples.map(e => this.format_doc_link(e))));
+                section.append("");
+            }
+            // Annotation keys registered by plugins.
+            for (let [key, value] of Object.entries(annotation)) {
+                const render = this.PLUGINS.getAnnotationRenderer(key);
+                if (render) {
+                    section.append(render(this, value, { annotation, obj }) ?? []);
                 }
             }
         }
@@ -566,89 +819,133 @@ export class Writer {
         return section;
     }
 
+    // Reports syntax errors of JavaScript and JSON code annotations, if
+    // requested by the --check_code option. Writers without a diagnostics
+    // collector (like the one of the declarations) render a schema already
+    // checked by another writer.
+    check_code(type, code) {
+        const language = getCodeLanguage(type);
+        if (!this.config?.check_code || !language || !this.#options.diagnostics) {
+            return;
+        }
+        const error = checkCodeSyntax(language, code.join("\n"));
+        this.reportFixMeIfTriggered(
+            error,
+            "code-syntax-error",
+            `Syntax error in the ${type} code${error?.line ? ` (line ${error.line})` : ""}: ${error?.message}`
+        );
+    }
+
+    isStringList(value, key) {
+        const isValid = Array.isArray(value) && value.every(e => typeof e === "string");
+        this.reportFixMeIfTriggered(!isValid, "invalid-annotation", `The ${key} annotation must be a list of strings`);
+        return isValid;
+    }
+
+    // Images are given relative to the schema folder and copied into the
+    // IMAGES_FOLDER of the output.
+    format_image_annotation({ image, alt = null }) {
+        const isValid = typeof image === "string" && !!image &&
+            !/^([a-z]:)?[\\/]/i.test(image) &&
+            !image.split(/[\\/]/).includes("..");
+        if (this.reportFixMeIfTriggered(!isValid, "invalid-annotation", `The image annotation must be a path relative to the schema folder: ${image}`)) {
+            return [];
+        }
+        const src = [IMAGES_FOLDER, ...image.split(/[\\/]/)].join("/");
+        if (!this.foundImages.has(image)) {
+            this.foundImages.set(image, { src, member: this.currentMember });
+        }
+        return this.image(src, alt);
+    }
+
+    // The first row of a table annotation is its header.
+    format_table_annotation(rows) {
+        const isValid = Array.isArray(rows) && rows.length > 0 &&
+            rows.every(row => Array.isArray(row) && row.length == rows[0].length && row.every(e => typeof e === "string"));
+        if (this.reportFixMeIfTriggered(!isValid, "invalid-annotation", "The table annotation must be a list of rows with the same number of cells")) {
+            return [];
+        }
+        return this.table(rows.map(row => row.map(e => this.replace_code(e.trim()))));
+    }
+
+    /**
+     * Converts the HTML of a description, see html.mjs.
+     *
+     * @param {string} str - The description
+     * @returns {string} The formatted description, which may have multiple
+     *   paragraphs
+     */
     replace_code(str) {
         if (!str) {
             return str;
         }
+        const { nodes, unsupportedTags, unknownEntities } = parseHtml(str);
+        for (const tag of unsupportedTags) {
+            this.reportFixMeIfTriggered(true, "unsupported-html", `The HTML element <${tag}> is not supported, only its content is used`);
+        }
+        for (const entity of unknownEntities) {
+            this.reportFixMeIfTriggered(true, "unknown-html-entity", `The HTML entity &${entity}; is not known, it is kept as written`);
+        }
+        return new HtmlRenderer(this).render(nodes);
+    }
 
-        // Fix malformed <val> and <var> tags where closing tag is missing
-        str = tools.fixMalformedClosingTags(str, ["val", "var", "code", "permission"]);
-
-        // Remove <code> inside <a>, as it is not render-able.
-        str = str.replace(
-            /(<a .*?>)<code>(.*?)<\/code>(.*?<\/a>)/g,
-            '$1$2$3'
-        );
-
-        // Some descriptions include <dl>...</dl> tags with enum descriptions, which
-        // get extracted and used elsewhere, so we do not need to include them here
-        // again.
-        str = str.replace(/<dl>[\s\S]*?<\/dl>/i, "");
-
-        const replacements = {
-            "<strong>": "**",
-            "</strong>": "**",
-            "<em>": "*",
-            "</em>": "*",
-            "<b>": "**",
-            "</b>": "**",
-            "<code>": ":code:`",
-            "</code>": "`",
-            // Work around sphinx bug ignoring roles if they start with spaces,
-            // by prefixing a zero-width space.
-            "<var> ": ":value:`\u200B ",
-            "<val> ": ":value:`\u200B ",
-            "<var>": ":value:`",
-            "<val>": ":value:`",
-            "</var>": "`",
-            "</val>": "`",
-            "&mdash;": "—",
-            // Some tags just have to go.
-            "<p>": "",
-            "</p>": "",
-            "<ul>": "",
-            "</ul>": "",
-            "<ol>": "",
-            "</ol>": "",
-            "</li>": "",
-            // The input data is read from JSON, which has special escape rules.
-            // A literal \n in the JSON will be interpreted as a line break.
-            // Per convention, we interpret these as their literal values.
-            "\b": "\\b",
-            "\f": "\\f",
-            "\r": "\\r",
-            "\t": "\\t",
-            "\n": "\\n",
-            "\\": "\\\\",
-            // Some descriptions may use <li> tags, replace by bullet points and
-            // actual line breaks.
-            "<li>": "\n\n * ",
-            "<br>": " ",
-        };
+    // Formats the plain text of a description, including its references.
+    format_text(str) {
+        str = showControlCharacters(str);
+        let rv = "";
+        let position = 0;
+        for (const match of str.matchAll(REFERENCE_REGEX)) {
+            const [source, ref, doc, topicText, pipeRef] = match;
+            rv += this.escape_text(str.slice(position, match.index));
+            position = match.index + source.length;
+            if (doc !== undefined) {
+                rv += this.format_doc_link(doc);
+            } else if (topicText !== undefined) {
+                // Deprecated $(topic:...) references are replaced by their
+                // link text.
+                rv += this.escape_text(topicText);
+            } else if (ref !== undefined || this.isPipeReference(pipeRef)) {
+                rv += this.format_link(ref ?? pipeRef);
+            } else {
+                rv += this.escape_text(source);
+            }
+        }
+        return rv + this.escape_text(str.slice(position));
+    }
 
-        for (const [s, r] of Object.entries(replacements)) {
-            str = str.split(s).join(r);
-        }
-
-        // Fix deprecated |..| notation for refs.
-        str = str.replace(/\|([^|]+)\|/g, "$(ref:$1)");
-        // Temporary: Fix trailing () at end of refs. 
-        str = str.replace(/\$\(ref:(.*?)\(\)\)/g, "$(ref:$1)");
-        // Replace refs.
-        str = str.replace(/\$\(ref:(.*?)\)/g, (match, inner) => this.format_link(inner));
-        str = str.replace(/\$\((doc:(.*?))\)/g, ":doc:`$2`");
-        // Replace deprecated $(topic:...) references with their plain link text.
-        str = str.replace(/\$\((topic:[^\)]+)\)\[(.*?)\]/g, "$2");
-        // Replace URLs.
-        str = str.replace(/<a href="(.*?)">(.*?)<\/a>/g, "`$2 <$1>`__");
-        str = str.replace(/<a href='(.*?)'>(.*?)<\/a>/g, "`$2 <$1>`__");
-        // Replace and track permissions.
-        str = str.replace(/<permission>(.*?)<\/permission>/g, (match, permission) => {
-            this.foundPermissions.add(permission);
-            return `:permission:${SBT}${permission}${SBT}`;
-        });
+    // Text between pipes is only a reference, if it is a qualified name or the
+    // name of a known type, and not just text like |a|.
+    isPipeReference(name) {
+        return name.includes(".") ||
+            !!this.PRODUCT.external_types[name] ||
+            !!this.find_type_definition(name, false);
+    }
 
-        return str;
+    // Formats the inline HTML elements of a description (see html.mjs), text
+    // is their text content.
+    format_markup(tag, text, attributes = {}) {
+        switch (tag) {
+            case "code":
+                return this.format_code(this.escape_literal(showControlCharacters(text)));
+            case "var":
+            case "val":
+                return this.format_value(this.escape_literal(showControlCharacters(text)));
+            case "permission":
+                this.foundPermissions.add(text);
+                return this.format_permission(text);
+            case "a":
+                return attributes.href
+                    ? this.format_external_link(this.escape_text(text), attributes.href)
+                    : this.escape_text(text);
+            case "strong":
+            case "b":
+                return this.format_strong(text);
+            case "em":
+            case "i":
+                return this.format_emphasis(text);
+            default:
+                return text;
+        }
     }
 
     reference(refId) {
@@ -656,6 +953,7 @@ export class Writer {
             return [];
         }
 
+        this.foundLabels.set(refId, [...(this.foundLabels.get(refId) ?? []), this.currentMember]);
         return [
             "",
             `.. _${tools.escapeUppercase(refId)}:`,
@@ -664,16 +962,30 @@ export class Writer {
     }
 
     format_link(ref, track = false) {
-        if (ref === "extensionTypes.File") {
-            return "`File <https://developer.mozilla.org/en-US/docs/Web/API/File>`__";
-        }
-        if (ref === "extensionTypes.Date") {
-            return "`Date <https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date>`__";
+        const externalType = this.PRODUCT.external_types[ref];
+        if (externalType) {
+            return this.format_external_link(externalType.name, externalType.url);
         }
-        if (ref === "runtime.Port") {
-            return "`Port <https://developer.mozilla.org/en-US/docs/Mozilla/Add-ons/WebExtensions/API/runtime/Port>`__";
+
+        ref = this.resolve_ref(ref, track);
+
+        // All needed types will be linked to the local API page.
+        if (this.ADDITIONAL_TYPE_PREFIXES.some(e => ref.startsWith(e))) {
+            ref = [this.namespaceName, ...ref.split(".").slice(1)].join(".");
         }
 
+        return this.format_ref(ref);
+    }
+
+    /**
+     * Fixes references using no namespace or the wrong namespace, and keeps
+     * track of the used types, if requested.
+     *
+     * @param {string} ref - The reference as used in the schema
+     * @param {boolean} track - Whether to add the type to foundTypes
+     * @returns {string} The fully qualified reference
+     */
+    resolve_ref(ref, track = false) {
         const matchingNamespace = this.NAMESPACE_NAMES.find(e => ref.startsWith(`${e}.`));
         if (!matchingNamespace && !this.ADDITIONAL_TYPE_PREFIXES.some(e => ref.startsWith(e))) {
             let strippedRef = ref.split(".").at(-1);
@@ -699,7 +1011,7 @@ export class Writer {
                     }
                 }
                 if (!isRelated) {
-                    this.reportFixMeIfTriggered(true, "Unknown namespace", ref);
+                    this.reportFixMeIfTriggered(true, "unknown-namespace", `Unknown namespace in reference ${ref}`);
                 }
             }
             ref = fixedRef;
@@ -710,14 +1022,12 @@ export class Writer {
         // some global ones.
         if (track && [`${this.namespaceName}.`, ...this.ADDITIONAL_TYPE_PREFIXES].some(e => ref.startsWith(e))) {
             this.foundTypes.add(ref);
+            if (!this.typeReferrers.has(ref)) {
+                this.typeReferrers.set(ref, this.currentMember);
+            }
         }
 
-        // All needed types will be linked to the local API page.
-        if (this.ADDITIONAL_TYPE_PREFIXES.some(e => ref.startsWith(e))) {
-            ref = [this.namespaceName, ...ref.split(".").slice(1)].join(".");
-        }
-
-        return `:ref:${SBT}${tools.escapeUppercase(ref)}${SBT}`;
+        return ref;
     }
 
     get_api_member_parts(name, value, refId) {
@@ -740,10 +1050,10 @@ export class Writer {
         } else if (name) {
             type_string = "(%s)";
             if (value.optional) {
-                parts.name = `[${DBT}${name}${DBT}]`;
+                parts.name = `[${this.format_literal(name)}]`;
                 type_string = "(%s, optional)";
             } else {
-                parts.name = `${DBT}${name}${DBT}`;
+                parts.name = this.format_literal(name);
             }
         }
 
@@ -755,9 +1065,9 @@ export class Writer {
         }
 
         if ("unsupported" in value) {
-            parts.type_annotation += " **Unsupported.**";
+            parts.type_annotation += ` ${this.format_strong("Unsupported.")}`;
         } else if ("deprecated" in value) {
-            parts.type_annotation += " **Deprecated.**";
+            parts.type_annotation += ` ${this.format_strong("Deprecated.")}`;
         }
 
         parts.description.append(this.format_description(value));
@@ -770,7 +1080,7 @@ export class Writer {
     get_type(obj, name) {
         if ("type" in obj) {
             if (obj.enum != null) {
-                return `${SBT}${obj.type}${SBT}`;
+                return this.format_inline_type(obj.type);
             } else if (obj.type === "array") {
                 if ("items" in obj) {
                     if ("choices" in obj.items) {
@@ -783,7 +1093,7 @@ export class Writer {
                     return "array";
                 }
             } else if ("isInstanceOf" in obj) {
-                return `${SBT}${obj.isInstanceOf} <https://developer.mozilla.org/en-US/docs/Web/API/${obj.isInstanceOf}>${SBT}__`;
+                return this.format_external_link(obj.isInstanceOf, `https://developer.mozilla.org/en-US/docs/Web/API/${obj.isInstanceOf}`);
             } else {
                 return obj.type;
             }
@@ -804,6 +1114,7 @@ export class Writer {
                         return aSort < bSort ? -1 : aSort > bSort ? 1 : 0;
                     });
                     for (let [name, value] of items) {
+                        this.currentMember = `${this.namespaceName}.${name}`;
                         section.append(this.format_object(name, value, {
                             refId: `${this.namespaceName}.${name}`
                         }));
@@ -814,14 +1125,21 @@ export class Writer {
 
         if (section.length > 0) {
             section.prepend(this.header_2("Manifest file properties"));
-            this.sidebar.set("manifest", "  * `Manifest file properties`_");
+            this.sidebar.set("manifest", this.sidebar_entry("Manifest file properties"));
         }
 
         return section;
     }
 
-    async generatePermissionsSection() {
-        let permissionStrings = {};
+    /**
+     * Returns the description of a permission, as found in the strings of the
+     * product data or in the permission locales of Thunderbird.
+     *
+     * @param {string} permission - Name of the permission
+     * @returns {string} The description, or an empty string if none was found
+     */
+    get_permission_description(permission) {
+        const permissionStrings = {};
         for (let line of this.PERMISSION_LOCALES.split("\n")) {
             if (line.startsWith("webext-perms-description")) {
                 let parts = line.split("=", 2);
@@ -838,6 +1156,13 @@ export class Writer {
             }
         }
 
+        return this.STRINGS.permission_descriptions[permission]
+            || permissionStrings[permission]
+            || (this.NAMESPACE_NAMES.includes(permission) && this.STRINGS.permission_descriptions["*"]?.replace("$NAME$", permission))
+            || "";
+    }
+
+    async generatePermissionsSection() {
         let manifestPermissions = new AdvancedArray();
         manifestPermissions.append(await this.format_manifest_permissions());
 
@@ -846,17 +1171,15 @@ export class Writer {
         let usedPermissions = new AdvancedArray();
 
         for (const value of Array.from(this.foundPermissions).sort()) {
-            let description = this.replace_code(strings.permission_descriptions[value])
-                || permissionStrings[value]
-                || (this.NAMESPACE_NAMES.includes(value) && strings.permission_descriptions["*"].replace("$NAME$", value))
-                || "";
+            this.currentMember = `${this.namespaceName}.permission.${value}`;
+            let description = this.replace_code(this.get_permission_description(value));
 
             if (!description) {
-                this.reportFixMeIfTriggered(true, "Missing permission description for", value)
+                this.reportFixMeIfTriggered(true, "missing-permission-description", `Missing permission description for ${value}`)
             }
 
             usedPermissions.append(this.api_member({
-                name: `:permission:${SBT}${value}${SBT}`,
+                name: this.format_permission(value),
                 description: [description],
                 refId: `${this.namespaceName}.permission.${value}`,
                 refName: value,
@@ -867,18 +1190,12 @@ export class Writer {
         if (manifestPermissions.length > 0 || usedPermissions.length > 0) {
             section.append(this.header_2("Permissions"));
             if (usedPermissions.length > 0) {
-                section.addParagraph(strings.permission_header)
-                section.append([
-                    "",
-                    ".. hint::",
-                    "",
-                    "   " + strings.permission_warning,
-                    ""
-                ])
+                section.addParagraph(this.STRINGS.permission_header)
+                section.append(this.admonition("hint", this.STRINGS.permission_warning))
                 section.append(usedPermissions);
             }
             section.append(manifestPermissions);
-            this.sidebar.set("permissions", "  * `Permissions`_");
+            this.sidebar.set("permissions", this.sidebar_entry("Permissions"));
         }
 
         return section;
@@ -897,6 +1214,7 @@ export class Writer {
                 continue;
             }
 
+            this.currentMember = `${this.namespaceName}.${obj.name}`;
             section.append(this.header_3(
                 `${obj.name}(${this.format_params(obj, { callback: obj.async })})`,
                 {
@@ -931,11 +1249,7 @@ export class Writer {
                 content.append(this.format_object("_returns", obj.returns, {
                     refId: `${this.namespaceName}.${obj.name}.returns`
                 }));
-                content.append([
-                    "",
-                    ".. _Promise: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise"
-                ]);
-                section.append(this.api_header("Return type (`Promise`_)", content));
+                section.append(this.return_type_header(content));
             }
 
             section.append(this.format_required_permissions(obj));
@@ -951,7 +1265,7 @@ export class Writer {
             return null;
         }
 
-        this.sidebar.set("functions", "  * `Functions`_");
+        this.sidebar.set("functions", this.sidebar_entry("Functions"));
 
         section.prepend(this.header_2("Functions"));
         return section;
@@ -969,6 +1283,7 @@ export class Writer {
                 continue;
             }
 
+            this.currentMember = `${this.namespaceName}.${event.name}`;
             section.append(this.header_3(
                 `${event.name}`, // could also add params later: `${event.name}(${format_params(event)})`
                 {
@@ -1025,12 +1340,48 @@ export class Writer {
         if (section.length == 0) {
             return null;
         }
-        this.sidebar.set("events", "  * `Events`_");
+        this.sidebar.set("events", this.sidebar_entry("Events"));
 
         section.prepend(this.header_2("Events"));
         return section;
     }
 
+    /**
+     * Looks up the definition of a type used by this API.
+     *
+     * @param {string} id - The fully qualified id of the type
+     * @param {boolean} report - Whether to report references using a wrong
+     *   prefix
+     * @returns {{id: string, definition: object}|null} The fully qualified id
+     *   of the found definition and the definition itself
+     */
+    find_type_definition(id, report = true) {
+        const prefix = `${this.namespaceName}.`;
+        const strippedId = id.startsWith(prefix) ? id.slice(prefix.length) : id;
+        const reportIfTriggered = (value, ...info) => report
+            ? this.reportFixMeIfTriggered(value, ...info)
+            : value;
+
+        const lookups = [
+            [id, () => this.TYPES.get(id)],
+            [`${prefix}${strippedId}`, () => this.namespaceSchema.types && this.namespaceSchema.types.find(e => e.id && e.id == strippedId)],
+            [`${prefix}${strippedId}`, () => this.manifestSchema.types && this.manifestSchema.types.find(e => e.id && e.id == strippedId)],
+            // Some manifest types are sadly not referenced as such,
+            // but appear as local types.
+            [`manifest.${strippedId}`, () => reportIfTriggered(this.TYPES.get(`manifest.${strippedId}`), "missing-manifest-prefix", `Missing manifest prefix in reference ${strippedId}`)],
+            // Some extensionTypes types are sadly not referenced as such,
+            // but appear as local types (needs to be checked last!).
+            [`extensionTypes.${strippedId}`, () => reportIfTriggered(this.TYPES.get(`extensionTypes.${strippedId}`), "missing-extension-types-prefix", `Missing extensionTypes prefix in reference ${strippedId}`)],
+        ];
+        for (const [qualifiedId, lookup] of lookups) {
+            const definition = lookup();
+            if (definition) {
+                return { id: qualifiedId, definition };
+            }
+        }
+        return null;
+    }
+
     async generateTypesSection() {
         // Add all types from the manifest and the api.
         (this.manifestSchema.types || []).filter(e => e.id).forEach(e => this.foundTypes.add(`${this.namespaceName}.${e.id}`));
@@ -1040,14 +1391,6 @@ export class Writer {
             return null;
         }
 
-        const strip_namespace_prefix = (ref) => {
-            const prefix = `${this.namespaceName}.`;
-            if (ref.startsWith(prefix)) {
-                return ref.slice(prefix.length);
-            }
-            return ref;
-        }
-
         // We use a writer for each type definition, so we can add types as we go
         // and sort them at the end. We loop over foundTypes until it does not change
         // anymore (to find nested types).
@@ -1056,16 +1399,7 @@ export class Writer {
         do {
             let prevFoundSize = this.foundTypes.size;
             for (const id of [...this.foundTypes]) {
-                const strippedId = strip_namespace_prefix(id);
-                const typeDef = this.TYPES.get(id)
-                    || (this.namespaceSchema.types && this.namespaceSchema.types.find(e => e.id && e.id == strippedId))
-                    || (this.manifestSchema.types && this.manifestSchema.types.find(e => e.id && e.id == strippedId))
-                    // Some manifest types are sadly not referenced as such,
-                    // but appear as local types.
-                    || this.reportFixMeIfTriggered(this.TYPES.get(`manifest.${strippedId}`), "Missing manifest prefix in reference", this.namespaceName, strippedId)
-                    // Some extensionTypes types are sadly not referenced as such,
-                    // but appear as local types (needs to be checked last!).
-                    || this.reportFixMeIfTriggered(this.TYPES.get(`extensionTypes.${strippedId}`), "Missing extensionTypes prefix in reference", this.namespaceName, strippedId);
+                const typeDef = this.find_type_definition(id)?.definition;
 
                 if (typeDef && definitions.has(typeDef.id)) {
                     continue;
@@ -1078,11 +1412,13 @@ export class Writer {
                     .filter(e => id.startsWith(`${e}.`))
                     .reduce((a, b) => (b.length > a.length ? b : a), "");
 
+                this.currentMember = id;
                 if (typeDef) {
                     definitions.set(typeDef.id, this.format_type(typeDef));
                 } else if (done && this.namespaceName == bestNamespaceMatch) {
-                    // We are done, but this is missing, log it.
-                    this.reportFixMeIfTriggered(true, "Missing type definition", this.namespaceName, id)
+                    // We are done, but this is missing, log it where it is used.
+                    this.currentMember = this.typeReferrers.get(id) ?? id;
+                    this.reportFixMeIfTriggered(true, "missing-type-definition", `Missing type definition for ${id}`)
                 };
             }
 
@@ -1103,7 +1439,7 @@ export class Writer {
         if (section.length == 0) {
             return null;
         }
-        this.sidebar.set("types", "  * `Types`_");
+        this.sidebar.set("types", this.sidebar_entry("Types"));
 
         section.prepend(this.header_2("Types"));
         return section;
@@ -1123,6 +1459,7 @@ export class Writer {
                 continue;
             }
 
+            this.currentMember = `${this.namespaceName}.${key}`;
             section.append(this.header_3(
                 key,
                 { label: `${this.namespaceName}.${key}` }
@@ -1140,73 +1477,170 @@ export class Writer {
             return null;
         }
 
-        this.sidebar.set("properties", "  * `Properties`_");
+        this.sidebar.set("properties", this.sidebar_entry("Properties"));
 
         section.prepend(this.header_2("Properties"));
         return section;
     }
 
+    async generatePluginSection({ name, title, generate }) {
+        this.currentMember = null;
+        const section = await generate(this);
+        if (!section?.length) {
+            return null;
+        }
+        this.sidebar.set(name, this.sidebar_entry(title));
+        return new AdvancedArray().append(this.header_2(title)).append(section);
+    }
+
     async generateApiDoc() {
         const title = `${this.namespaceName} API`;
         const doc = new AdvancedArray();
-        const manifest = await this.generateManifestSection();
-        const functions = await this.generateFunctionsSection();
-        const events = await this.generateEventsSection()
-        const properties = await this.generatePropertiesSection()
-        const types = await this.generateTypesSection()
+        const sections = new Map();
+        sections.set("manifest", await this.generateManifestSection());
+        sections.set("functions", await this.generateFunctionsSection());
+        sections.set("events", await this.generateEventsSection());
+        sections.set("properties", await this.generatePropertiesSection());
+        sections.set("types", await this.generateTypesSection());
+        for (let section of this.PLUGINS.sections) {
+            sections.set(section.name, await this.generatePluginSection(section));
+        }
 
         // Last, because it needs api.foundPermissions to be populated.
-        const permissions = await this.generatePermissionsSection();
+        sections.set("permissions", await this.generatePermissionsSection());
+        this.currentMember = null;
+
+        this.sectionNames = this.PLUGINS.getSectionNames();
+        for (let name of this.sectionNames) {
+            const section = await this.PLUGINS.processSection(this, name, sections.get(name));
+            if (!section?.length) {
+                this.sidebar.delete(name);
+            }
+            sections.set(name, section);
+        }
 
-        doc.append([
-            ".. container:: sticky-sidebar",
-            "",
-            `  ≡ ${title}`,
-            "",
-            this.sidebar.get("manifest"),
-            this.sidebar.get("permissions"),
-            this.sidebar.get("functions"),
-            this.sidebar.get("events"),
-            this.sidebar.get("types"),
-            this.sidebar.get("properties"),
-            "",
-            "  .. include:: /_includes/developer-resources.rst",
-            "",
-            //        "  ≡ Related information",
-            //        "",
-            //        "  * :doc:`/examples/eventListeners`",
-            //        "",
-            "=".repeat(title.length),
-            title,
-            "=".repeat(title.length),
-            "",
-            ".. role:: permission",
-            "",
-            ".. role:: value",
-            "",
-            ".. role:: code",
-            "",
-        ])
+        doc.append(this.page_header(title))
 
         let mdn_documentation_url = this.namespaceSchema?.annotations?.find(e => e.mdn_documentation_url)?.mdn_documentation_url;
         if (mdn_documentation_url) {
-            doc.append([
-                ".. hint::",
-                "",
-                "   " + strings.mozilla_api
-                    .replace("$NAME$", this.namespaceName)
-                    .replace("$LINK$", `${SBT}MDN <${mdn_documentation_url}>${SBT}__`)
-            ])
+            doc.append(this.admonition("hint", this.STRINGS.mozilla_api
+                .replace("$NAME$", this.namespaceName)
+                .replace("$LINK$", this.format_external_link("MDN", mdn_documentation_url))
+            ))
         }
 
         doc.append(this.format_description(this.namespaceSchema));
 
-        doc.addSection(manifest);
-        doc.addSection(permissions);
-        doc.addSection(functions);
-        doc.addSection(events);
+        for (let name of this.sectionNames) {
+            doc.addSection(sections.get(name));
+        }
+
+        return doc;
+    }
+
+    /**
+     * Generates the manifest.json reference page, documenting all keys of the
+     * merged WebExtensionManifest type and the global types used by them. The
+     * writer has to be created for the "manifest" prefix, without any API types.
+     * Keys not supported by the configured manifest version are skipped, keys
+     * added by an API link back to its page.
+     *
+     * @returns {Promise<AdvancedArray>}
+     */
+    async generateManifestDoc() {
+        const manifestVersion = Number(this.config.manifest_version);
+        const isSupported = obj => {
+            const { version_added } = obj?.annotations?.find(a => "version_added" in a) ?? {};
+            return version_added !== false &&
+                !(obj.min_manifest_version > manifestVersion) &&
+                !(obj.max_manifest_version < manifestVersion);
+        };
+
+        // The namespaces adding each key, and their manifest-only types, which
+        // are documented on their API pages. All namespaces of a schema file
+        // share its manifest types, a key is only credited to the first
+        // namespace (like messages and not messages.tags).
+        const owners = new Map();
+        const creditedTypes = new Set();
+        for (const namespaceName of [...this.NAMESPACE_NAMES].sort()) {
+            const manifestTypes = this.SCHEMAS.get(namespaceName).find(e => e.namespace == "manifest")?.types ?? [];
+            const localTypeIds = manifestTypes.filter(e => e.id).map(e => e.id);
+            for (const type of manifestTypes.filter(e => e.$extend === "WebExtensionManifest")) {
+                if (creditedTypes.has(type)) {
+                    continue;
+                }
+                creditedTypes.add(type);
+                for (const name of Object.keys(type.properties ?? {})) {
+                    owners.set(name, [...(owners.get(name) ?? []), { namespaceName, localTypeIds }]);
+                }
+            }
+        }
+        const formatOwners = (keyOwners) => {
+            const links = keyOwners.map(e => `$(doc:${e.namespaceName})`);
+            return links.length == 1
+                ? `${links[0]} API`
+                : `${links.slice(0, -1).join(", ")} and ${links.at(-1)} APIs`;
+        };
+
+        // Returns a copy of the definition of a key, without the entries not
+        // supported by the configured manifest version, and with references to
+        // manifest-only types pointing to the API page of the owner.
+        const prepare = (value, owner) => {
+            if (Array.isArray(value)) {
+                return value.filter(isSupported).map(e => prepare(e, owner));
+            }
+            if (typeof value !== "object" || value === null) {
+                return value;
+            }
+            const rv = {};
+            for (const [key, entry] of Object.entries(value)) {
+                if (key == "$ref" && owner?.localTypeIds.includes(entry)) {
+                    rv[key] = `${owner.namespaceName}.${entry}`;
+                } else if (["properties", "patternProperties"].includes(key) && !Array.isArray(entry)) {
+                    rv[key] = Object.fromEntries(Object.entries(entry)
+                        .filter(([, property]) => isSupported(property))
+                        .map(([name, property]) => [name, prepare(property, owner)]));
+                } else {
+                    rv[key] = prepare(entry, owner);
+                }
+            }
+            return rv;
+        };
+
+        // Sort by property name, unless "sort" key overrides
+        const manifestType = this.TYPES.get("manifest.WebExtensionManifest");
+        const items = Object.entries(manifestType?.properties ?? {})
+            .filter(([, value]) => isSupported(value))
+            .sort(([aKey, aVal], [bKey, bVal]) => {
+                let aSort = "sort" in aVal ? aVal.sort : aKey;
+                let bSort = "sort" in bVal ? bVal.sort : bKey;
+                return aSort < bSort ? -1 : aSort > bSort ? 1 : 0;
+            });
+
+        const keys = new AdvancedArray();
+        for (const [name, value] of items) {
+            const keyOwners = owners.get(name) ?? [];
+            const definition = prepare(value, keyOwners[0]);
+            if (keyOwners.length) {
+                definition.annotations = [...(definition.annotations ?? []), { text: `Provided by the ${formatOwners(keyOwners)}.` }];
+            }
+            this.currentMember = `manifest.${name}`;
+            keys.append(this.format_object(name, definition, { refId: `manifest.${name}` }));
+        }
+        if (keys.length > 0) {
+            keys.prepend(this.header_2("Manifest keys"));
+            this.sidebar.set("manifest", this.sidebar_entry("Manifest keys"));
+        }
+
+        const types = await this.generateTypesSection();
+        this.currentMember = null;
+
+        const doc = new AdvancedArray();
+        doc.append([".. _manifest:", ""]);
+        doc.append(this.page_header("manifest.json"));
+        doc.addParagraph(`The keys of the ${this.format_literal("manifest.json")} file of a WebExtension using Manifest V${manifestVersion}, including the keys added by the individual APIs.`);
+        doc.addSection(keys);
         doc.addSection(types);
-        doc.addSection(properties);
 
         return doc;
     }
@@ -0,0 +1,50 @@
+import assert from "node:assert/strict";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+
+import { generateDocs } from "../modules/generator.mjs";
+
+const SCHEMA = [
+    { namespace: "manifest", types: [] },
+    {
+        namespace: "messages",
+        applicationVersion: "128.0esr",
+        functions: [
+            {
+                name: "list",
+                type: "function",
+                async: true,
+                parameters: [],
+                annotations: [{ code: ["let x = ;"], type: "JavaScript" }],
+            },
+        ],
+    },
+];
+
+let schemaFolder;
+
+before(async () => {
+    schemaFolder = await fs.mkdtemp(path.join(os.tmpdir(), "webext-docs-test-"));
+    await fs.writeFile(path.join(schemaFolder, "messages.json"), JSON.stringify(SCHEMA));
+    await fs.writeFile(path.join(schemaFolder, "permissions.ftl"), "");
+});
+
+after(async () => {
+    await fs.rm(schemaFolder, { recursive: true, force: true });
+});
+
+test("a syntax error is reported once, also with --dts", async () => {
+    const { diagnostics, files } = await generateDocs({
+        schemas: schemaFolder,
+        manifest_version: 3,
+        format: "markdown",
+        check_code: "warn",
+        dts: true,
+    });
+    const errors = diagnostics.entries.filter(e => e.rule == "code-syntax-error");
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, "messages.list");
+    assert.ok(files.has("messenger.d.ts"));
+});
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { getTextContent, parseHtml } from "../modules/html.mjs";
+import { DEFAULT_PRODUCT } from "../modules/product.mjs";
+import { Writer } from "../modules/writer.mjs";
+
+const createWriter = () => new Writer({
+    config: { manifest_version: "3" },
+    namespaces: new Map(),
+    namespaceName: "messages",
+    schemas: [],
+    globalTypes: new Map(),
+    product: DEFAULT_PRODUCT,
+});
+
+test("nested lists are indented to the text column of their item", () => {
+    const html = "<ul><li>one<ul><li>a</li><li>b</li></ul></li><li>two<ol start=\"3\"><li>c<p>more</p></li></ol></li></ul>";
+    assert.equal(createWriter().replace_code(html), [
+        " * one",
+        "",
+        "   * a",
+        "",
+        "   * b",
+        "",
+        " * two",
+        "",
+        "   3. c",
+        "",
+        "      more",
+    ].join("\n"));
+});
+
+test("unknown named entities are kept and reported", () => {
+    const { nodes, unknownEntities } = parseHtml("&copy; &AMP; &Copy; &frac12; &#169;");
+    assert.equal(getTextContent(nodes), "© & &Copy; &frac12; ©");
+    assert.deepEqual(unknownEntities, ["Copy", "frac12"]);
+});
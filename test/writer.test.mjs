@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { DEFAULT_PRODUCT } from "../modules/product.mjs";
+import { Writer } from "../modules/writer.mjs";
+
+const createWriter = () => new Writer({
+    config: { manifest_version: "3" },
+    namespaces: new Map(),
+    namespaceName: "messages",
+    schemas: [],
+    globalTypes: new Map(),
+    product: DEFAULT_PRODUCT,
+});
+
+test("multi-line annotations stay inside their directive and list item", () => {
+    const obj = { annotations: [{ note: "<p>First</p><p>Second</p>" }, { list: ["<p>a</p><p>b</p>", "c"] }] };
+    assert.equal(createWriter().format_description(obj).toString(), [
+        "",
+        ".. note::",
+        "",
+        "   First",
+        "",
+        "   Second",
+        "",
+        " * a",
+        "",
+        "   b",
+        " * c",
+        "",
+    ].join("\n"));
+});